@@ -2,6 +2,30 @@
 //  initShaders.js
 //
 
+//  Shows a shader failure on the page, with the info log and the numbered
+//  source the line numbers in the log refer to.
+//
+
+function showShaderError( message, log, source )
+{
+    var text = message + "  The error log is:\n\n" + log;
+
+    if ( source !== undefined ) {
+        var lines = source.split( "\n" );
+        for ( var i = 0; i < lines.length; ++i ) {
+            lines[i] = ( i + 1 ) + ": " + lines[i];
+        }
+        text += "\n" + lines.join( "\n" );
+    }
+
+    var pre = document.createElement( "pre" );
+    pre.style.color = "red";
+    pre.textContent = text;
+    document.body.appendChild( pre );
+
+    console.error( text );
+}
+
 function initShaders( gl, vertexShaderId, fragmentShaderId )
 {
     var vertShdr;
@@ -17,16 +41,15 @@ function initShaders( gl, vertexShaderId, fragmentShaderId )
         gl.shaderSource( vertShdr, vertElem.text );
         gl.compileShader( vertShdr );
         if ( !gl.getShaderParameter(vertShdr, gl.COMPILE_STATUS) ) {
-            var msg = "Vertex shader failed to compile.  The error log is:"
-        	+ "<pre>" + gl.getShaderInfoLog( vertShdr ) + "</pre>";
-            alert( msg );
+            showShaderError( "Vertex shader failed to compile.",
+                gl.getShaderInfoLog( vertShdr ), vertElem.text );
             return -1;
         }
     }
 
     var fragElem = document.getElementById( fragmentShaderId );
     if ( !fragElem ) { 
-        alert( "Unable to load vertex shader " + fragmentShaderId );
+        alert( "Unable to load fragment shader " + fragmentShaderId );
         return -1;
     }
     else {
@@ -34,9 +57,8 @@ function initShaders( gl, vertexShaderId, fragmentShaderId )
         gl.shaderSource( fragShdr, fragElem.text );
         gl.compileShader( fragShdr );
         if ( !gl.getShaderParameter(fragShdr, gl.COMPILE_STATUS) ) {
-            var msg = "Fragment shader failed to compile.  The error log is:"
-        	+ "<pre>" + gl.getShaderInfoLog( fragShdr ) + "</pre>";
-            alert( msg );
+            showShaderError( "Fragment shader failed to compile.",
+                gl.getShaderInfoLog( fragShdr ), fragElem.text );
             return -1;
         }
     }
@@ -47,9 +69,8 @@ function initShaders( gl, vertexShaderId, fragmentShaderId )
     gl.linkProgram( program );
     
     if ( !gl.getProgramParameter(program, gl.LINK_STATUS) ) {
-        var msg = "Shader program failed to link.  The error log is:"
-            + "<pre>" + gl.getProgramInfoLog( program ) + "</pre>";
-        alert( msg );
+        showShaderError( "Shader program failed to link.",
+            gl.getProgramInfoLog( program ) );
         return -1;
     }
 
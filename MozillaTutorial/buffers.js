@@ -67,12 +67,13 @@ class BufferFactory {
     /**
      * Creates, Binds and Buffers a WebGLBuffer storing data such as element indices.
      * @param {Number[]} data Data that will be copied into the data store.
+     * @param {Function} [array_type] Typed array the indices are stored as, `Uint16Array` or `Uint32Array`.
      * @returns {WebGLBuffer} The WebGLBuffer object does not define any methods or properties of its own and its
      * content is not directly accessible.
      */
-    CreateIndexBuffer(data) {
+    CreateIndexBuffer(data, array_type = Uint16Array) {
         const index_buffer = this.CreateBuffer();
-        this.BufferIndexData(index_buffer, data);
+        this.BufferIndexData(index_buffer, data, array_type);
         return index_buffer;
     }
 
@@ -125,46 +126,262 @@ class BufferFactory {
      * Initializes and creates the buffer object's element index data store.
      * @param {WebGLBuffer} buffer A Index WebGLBuffer to buffer.
      * @param {ArrayBufferView} src_data Array that will be copied into the data store.
+     * @param {Function} [array_type] Typed array the indices are stored as, `Uint16Array` or `Uint32Array`.
      */
-    BufferIndexData(buffer, src_data) {
+    BufferIndexData(buffer, src_data, array_type = Uint16Array) {
         this.BindIndexBuffer(buffer);
-        this.BufferData(this._element_array_buffer, new Uint16Array(src_data), this._static_draw);
+        this.BufferData(this._element_array_buffer, new array_type(src_data), this._static_draw);
     }
 
     /**
-     * Create a Buffered Object from an structured collection of object data.
-     * @param {{position: Number[], normal: Number[], fill: Number[], index: Number[]}} object_data Object data to buffer
+     * Initializes and creates the buffer object's vertex attribute data store from data already in its final binary
+     * form.
+     * @param {WebGLBuffer} buffer A Atribute WebGLBuffer to buffer.
+     * @param {ArrayBuffer|ArrayBufferView} src_data Data that will be copied into the data store as is.
+     */
+    BufferAttributeBytes(buffer, src_data) {
+        this.BindAttributeBuffer(buffer);
+        this.BufferData(this._array_buffer, src_data, this._static_draw);
+    }
+
+    /**
+     * Create a Buffered Object from an structured collection of object data. Positions, normals, texture coordinates
+     * and colors are bound to `aVertexPosition`, `aVertexNormal`, `aTextureCoord` and `aVertexColor`; `fill` goes to
+     * `aTextureCoord` or `aVertexColor` depending on its length when the data has neither.
+     * @param {{position: Number[], normal: Number[], texture: Number[], color: Number[], fill: Number[],
+     * index: Number[]}} object_data Object data to buffer
+     * @param {Boolean} [interleaved] Whether to store the attributes in a single interleaved buffer.
+     */
+    BufferObject(object_data, interleaved = false) {
+        const attributes = {};
+
+        if (object_data.position) {
+            attributes.aVertexPosition = { data: object_data.position, size: 3 };
+        }
+        if (object_data.normal) {
+            attributes.aVertexNormal = { data: object_data.normal, size: 3 };
+        }
+        if (object_data.texture) {
+            attributes.aTextureCoord = { data: object_data.texture, size: 2 };
+        }
+        if (object_data.color) {
+            attributes.aVertexColor = { data: object_data.color, size: 4 };
+        }
+        if (object_data.fill && !object_data.texture && !object_data.color && object_data.position) {
+            const vertex_count = object_data.position.length / 3;
+            const fill_size = object_data.fill.length / vertex_count;
+            attributes[fill_size === 2 ? 'aTextureCoord' : 'aVertexColor'] = { data: object_data.fill, size: fill_size };
+        }
+
+        return this.BufferLayout({ attributes, index: object_data.index, interleaved });
+    }
+
+    /**
+     * Create a Buffered Object from a layout of named vertex attributes. Attribute names are the names of the shader
+     * attributes they feed, so the object can be bound to any program declaring them.
+     * @param {Object} layout Vertex layout and data.
+     * @param {Object<String, VertexAttributeLayout>} layout.attributes Attributes by shader attribute name.
+     * @param {Number[]|Uint16Array|Uint32Array} [layout.index] Indices of the objects vertices. Indices past 65535
+     * are stored as `UNSIGNED_INT`, which needs the `OES_element_index_uint` extension.
+     * @param {Boolean} [layout.interleaved] Whether to store the attributes in a single interleaved buffer.
+     * @returns {BufferedObject}
      */
-    BufferObject(object_data) {
-        const buffered_object = new BufferedObject(
+    BufferLayout({ attributes, index, interleaved = false }) {
+        const names = Object.keys(attributes);
+        const formats = names.map((name) => this.AttributeFormat(name, attributes[name]));
+
+        const vertex_count = formats.length > 0 ? formats[0].vertex_count : 0;
+        for (const format of formats) {
+            if (format.vertex_count !== vertex_count) {
+                throw new Error(
+                    `Attribute "${format.name}" has ${format.vertex_count} vertices, ` +
+                    `"${formats[0].name}" has ${vertex_count}`
+                );
+            }
+        }
+
+        const buffered_attributes = new Map();
+
+        if (interleaved) {
+            // Offsets and the stride are kept on 4 byte boundaries, as WebGL requires for every component type.
+            let stride = 0;
+            for (const format of formats) {
+                format.offset = stride;
+                stride += Math.ceil(format.size * format.array_type.BYTES_PER_ELEMENT / 4) * 4;
+            }
+
+            const bytes = new ArrayBuffer(stride * vertex_count);
+            for (const format of formats) {
+                const view = new format.array_type(bytes);
+                const bytes_per_element = format.array_type.BYTES_PER_ELEMENT;
+                for (let vertex = 0; vertex < vertex_count; vertex++) {
+                    const start = (vertex * stride + format.offset) / bytes_per_element;
+                    for (let component = 0; component < format.size; component++) {
+                        view[start + component] = format.data[vertex * format.size + component];
+                    }
+                }
+            }
+
+            const buffer = this.CreateBuffer();
+            this.BufferAttributeBytes(buffer, bytes);
+
+            for (const format of formats) {
+                buffered_attributes.set(format.name, new BufferedAttribute(
+                    buffer, format.size, format.type, format.normalized, stride, format.offset
+                ));
+            }
+        } else {
+            for (const format of formats) {
+                const buffer = this.CreateBuffer();
+                this.BufferAttributeBytes(buffer, new format.array_type(format.data));
+
+                buffered_attributes.set(format.name, new BufferedAttribute(
+                    buffer, format.size, format.type, format.normalized, 0, 0
+                ));
+            }
+        }
+
+        const index_format = index ? this.IndexFormat(index) : null;
+
+        return new BufferedObject(
             this.web_GL_rendering_context,
-            object_data.position ? this.CreateAttributeBuffer(object_data.position) : undefined,
-            object_data.fill ? this.CreateAttributeBuffer(object_data.fill) : undefined,
-            object_data.normal ? this.CreateAttributeBuffer(object_data.normal) : undefined,
-            object_data.index ? this.CreateIndexBuffer(object_data.index) : undefined
+            buffered_attributes,
+            index ? this.CreateIndexBuffer(index, index_format.array_type) : null,
+            index ? index.length : vertex_count,
+            index ? index_format.type : undefined
         );
-        return buffered_object;
     }
+
+    /**
+     * Works out the binary format of element indices from the largest one. `UNSIGNED_SHORT` holds indices up to
+     * 65535, larger ones need `UNSIGNED_INT` and so the `OES_element_index_uint` extension.
+     * @param {Number[]|Uint16Array|Uint32Array} index Indices of the objects vertices.
+     * @returns {{array_type: Function, type: GLenum}}
+     */
+    IndexFormat(index) {
+        let max_index = 0;
+        for (const value of index) {
+            max_index = Math.max(max_index, value);
+        }
+
+        if (max_index <= 0xFFFF) {
+            return { array_type: Uint16Array, type: this.web_GL_rendering_context.UNSIGNED_SHORT };
+        }
+        if (!this.web_GL_rendering_context.getExtension('OES_element_index_uint')) {
+            throw new Error(
+                `Index ${max_index} does not fit UNSIGNED_SHORT and OES_element_index_uint is not supported`
+            );
+        }
+
+        return { array_type: Uint32Array, type: this.web_GL_rendering_context.UNSIGNED_INT };
+    }
+
+    /**
+     * Works out the binary format of an attribute from its layout.
+     * @param {String} name Shader attribute name.
+     * @param {VertexAttributeLayout} attribute Layout of the attribute.
+     * @returns {{name: String, data: (Number[]|ArrayBufferView), size: Number, type: GLenum, normalized: Boolean,
+     * array_type: Function, vertex_count: Number, offset: Number}}
+     */
+    AttributeFormat(name, attribute) {
+        const type_name = attribute.type || TypedArrayTypeName(attribute.data) || 'FLOAT';
+        const array_type = array_types[type_name];
+
+        if (array_type === undefined) {
+            throw new Error(`Attribute "${name}" has unsupported type ${type_name}`);
+        }
+        if (!(attribute.size >= 1 && attribute.size <= 4)) {
+            throw new Error(`Attribute "${name}" must have 1 to 4 components, not ${attribute.size}`);
+        }
+        if (attribute.data.length % attribute.size !== 0) {
+            throw new Error(`Attribute "${name}" has ${attribute.data.length} values, not a multiple of ${attribute.size}`);
+        }
+
+        return {
+            name,
+            data: attribute.data,
+            size: attribute.size,
+            type: this.web_GL_rendering_context[type_name],
+            normalized: attribute.normalized === true,
+            array_type,
+            vertex_count: attribute.data.length / attribute.size,
+            offset: 0
+        };
+    }
+}
+
+/**
+ * Layout of a vertex attribute.
+ * @typedef {Object} VertexAttributeLayout
+ * @property {Number[]|ArrayBufferView} data Values of the attribute, `size` per vertex.
+ * @property {Number} size Number of components per vertex, 1 to 4.
+ * @property {String} [type] Component type by GLenum name: `FLOAT`, `BYTE`, `UNSIGNED_BYTE`, `SHORT` or
+ * `UNSIGNED_SHORT`. Taken from typed array data, `FLOAT` for plain arrays.
+ * @property {Boolean} [normalized] Whether integer components are mapped to [0, 1] or [-1, 1].
+ */
+
+/**
+ * Typed arrays holding each component type, by GLenum name.
+ * @type {Object<String, Function>}
+ */
+const array_types = {
+    FLOAT: Float32Array,
+    BYTE: Int8Array,
+    UNSIGNED_BYTE: Uint8Array,
+    SHORT: Int16Array,
+    UNSIGNED_SHORT: Uint16Array
+};
+
+/**
+ * Looks up the GLenum name of the component type stored in a typed array.
+ * @param {Number[]|ArrayBufferView} data Attribute data.
+ * @returns {String} GLenum name, undefined for plain arrays and unsupported typed arrays.
+ */
+function TypedArrayTypeName(data) {
+    return Object.keys(array_types).find((name) => data instanceof array_types[name]);
 }
 
 /**
- * Object with buffered properties.
- * @param {WebGLBuffer} position Positions of the objects vertices.
- * @param {WebGLBuffer} fill Objects fill medium buffer.
- * @param {WebGLBuffer} normal Surface normals for each vertex.
- * @param {WebGLBuffer} index Indices of the objects vertices.
+ * Where and how a vertex attribute is stored in a WebGLBuffer.
+ */
+class BufferedAttribute {
+    /**
+     * Instantiate a new buffered attribute.
+     * @param {WebGLBuffer} buffer Buffer holding the attribute, possibly shared with other attributes.
+     * @param {GLint} size Number of components per vertex.
+     * @param {GLenum} type Data type of each component.
+     * @param {GLboolean} normalized Whether integer components are normalized when cast to float.
+     * @param {GLsizei} stride Bytes from one vertex to the next, 0 when tightly packed.
+     * @param {GLintptr} offset Bytes from the start of the buffer to the first component.
+     */
+    constructor(buffer, size, type, normalized, stride, offset) {
+        this.buffer = buffer;
+        this.size = size;
+        this.type = type;
+        this.normalized = normalized;
+        this.stride = stride;
+        this.offset = offset;
+    }
+}
+
+/**
+ * Object with buffered vertex attributes, named after the shader attributes they feed.
+ * @property {Map<String, BufferedAttribute>} attributes Buffered attributes by shader attribute name.
+ * @property {WebGLBuffer} index Indices of the objects vertices, `null` when not indexed.
+ * @property {Number} count Number of indices, or vertices when not indexed.
  */
 class BufferedObject {
     /**
      * Instantiate a new buffered object.
      * @param {WebGLRenderingContext} web_GL_rendering_context An interface to the OpenGL ES 2.0 graphics rendering.
      * context for the drawing surface of an HTML <canvas> element.
-     * @param {WebGLBuffer} [position] Positions of the objects vertices.
-     * @param {WebGLBuffer} [fill] Objects fill medium buffer.
-     * @param {WebGLBuffer} [normal] Surface normals for each vertex.
+     * @param {Map<String, BufferedAttribute>} attributes Buffered attributes by shader attribute name.
      * @param {WebGLBuffer} [index] Indices of the objects vertices.
+     * @param {Number} [count] Number of indices, or vertices when not indexed.
+     * @param {GLenum} [index_type] Data type of the indices, `UNSIGNED_SHORT` by default.
      */
-    constructor(web_GL_rendering_context, position, fill, normal, index) {
+    constructor(web_GL_rendering_context, attributes, index = null, count = 0,
+        index_type = web_GL_rendering_context.UNSIGNED_SHORT) {
         /**
          * An interface to the OpenGL ES 2.0 graphics rendering.
          * @type {WebGLRenderingContext} 
@@ -172,28 +389,44 @@ class BufferedObject {
         this._web_GL_rendering_context = web_GL_rendering_context;
 
         /**
-         * Positions of the objects vertices.
-         * @type {WebGLBuffer}
+         * Buffered attributes by shader attribute name.
+         * @type {Map<String, BufferedAttribute>}
          */
-        this._position = position || web_GL_rendering_context.createBuffer();
+        this._attributes = attributes;
 
         /**
-         * Objects fill medium buffer.
+         * Indices of the objects vertices.
          * @type {WebGLBuffer}
          */
-        this._fill = fill || web_GL_rendering_context.createBuffer();
+        this._index = index;
 
         /**
-         * Surface normals for each vertex.
-         * @type {WebGLBuffer}
+         * Number of indices, or vertices when not indexed.
+         * @type {Number}
          */
-        this._normal = normal || web_GL_rendering_context.createBuffer();
+        this._count = count;
 
         /**
-         * Indices of the objects vertices.
-         * @type {WebGLBuffer}
+         * Data type of the indices.
+         * @type {GLenum}
          */
-        this._index = index || web_GL_rendering_context.createBuffer();
+        this._index_type = index_type;
+    }
+
+    /**
+     * An interface to the OpenGL ES 2.0 graphics rendering.
+     * @type {WebGLRenderingContext} 
+     */
+    get web_GL_rendering_context() {
+        return this._web_GL_rendering_context;
+    }
+
+    /**
+     * Buffered attributes by shader attribute name.
+     * @type {Map<String, BufferedAttribute>}
+     */
+    get attributes() {
+        return this._attributes;
     }
 
     /**
@@ -201,15 +434,15 @@ class BufferedObject {
      * @type {WebGLBuffer}
      */
     get position() {
-        return this._position;
+        return this.AttributeBuffer('aVertexPosition');
     }
 
     /**
-     * Objects fill medium buffer.
+     * Objects fill medium buffer, its texture coordinates or else its colors.
      * @type {WebGLBuffer}
      */
     get fill() {
-        return this._fill;
+        return this.AttributeBuffer('aTextureCoord') || this.AttributeBuffer('aVertexColor');
     }
 
     /**
@@ -217,7 +450,7 @@ class BufferedObject {
      * @type {WebGLBuffer}
      */
     get normal() {
-        return this._normal;
+        return this.AttributeBuffer('aVertexNormal');
     }
 
     /**
@@ -227,6 +460,100 @@ class BufferedObject {
     get index() {
         return this._index;
     }
+
+    /**
+     * Data type of the indices.
+     * @type {GLenum}
+     */
+    get index_type() {
+        return this._index_type;
+    }
+
+    /**
+     * Number of indices, or vertices when not indexed.
+     * @type {Number}
+     */
+    get count() {
+        return this._count;
+    }
+
+    /**
+     * Buffer holding an attribute.
+     * @param {String} name Shader attribute name.
+     * @returns {WebGLBuffer} The buffer, undefined when the object has no such attribute.
+     */
+    AttributeBuffer(name) {
+        const attribute = this._attributes.get(name);
+        return attribute === undefined ? undefined : attribute.buffer;
+    }
+
+    /**
+     * Binds a given WebGLBuffer to a target.
+     * @param {GLenum} target A GLenum specifying the binding point (target).
+     * @param {WebGLBuffer} buffer A WebGLBuffer to bind.
+     */
+    BindBuffer(target, buffer) {
+        this.web_GL_rendering_context.bindBuffer(target, buffer);
+    }
+
+    /**
+     * Binds the buffer currently bound to ARRAY_BUFFER to a generic vertex attribute and specifies its layout.
+     * @param {GLuint} index A GLuint specifying the index of the vertex attribute that is to be modified.
+     * @param {GLint} size A GLint specifying the number of components per vertex attribute.
+     * @param {GLenum} type A GLenum specifying the data type of each component in the array.
+     * @param {GLboolean} normalized A GLboolean specifying whether integer data values should be normalized.
+     * @param {GLsizei} stride A GLsizei specifying the offset in bytes between the beginning of consecutive vertex
+     * attributes.
+     * @param {GLintptr} offset A GLintptr specifying an offset in bytes of the first component in the vertex
+     * attribute array.
+     */
+    VertexAttribPointer(index, size, type, normalized, stride, offset) {
+        this.web_GL_rendering_context.vertexAttribPointer(index, size, type, normalized, stride, offset);
+    }
+
+    /**
+     * Turns on the generic vertex attribute array at the specified index into the list of attribute arrays.
+     * @param {GLuint} index A GLuint specifying the index of the vertex attribute to enable.
+     */
+    EnableVertexAttribArray(index) {
+        this.web_GL_rendering_context.enableVertexAttribArray(index);
+    }
+
+    /**
+     * Points every active attribute of a program at the matching buffered attribute, by name. Attributes the object
+     * does not have are left disabled and read their constant value.
+     * @param {{attributes: Map<String, {location: GLint}>}} program_data Program with reflected attributes.
+     * @returns {Set<GLuint>} Locations of the vertex attribute arrays that were enabled.
+     */
+    Bind(program_data) {
+        const gl = this.web_GL_rendering_context;
+        const enabled = new Set();
+
+        for (const [name, { location }] of program_data.attributes) {
+            const attribute = this._attributes.get(name);
+            if (attribute === undefined || location < 0) {
+                continue;
+            }
+
+            this.BindBuffer(gl.ARRAY_BUFFER, attribute.buffer);
+            this.VertexAttribPointer(
+                location,
+                attribute.size,
+                attribute.type,
+                attribute.normalized,
+                attribute.stride,
+                attribute.offset
+            );
+            this.EnableVertexAttribArray(location);
+            enabled.add(location);
+        }
+
+        if (this._index !== null) {
+            this.BindBuffer(gl.ELEMENT_ARRAY_BUFFER, this._index);
+        }
+
+        return enabled;
+    }
 }
 
-export { BufferFactory, BufferedObject };
+export { BufferFactory, BufferedObject, BufferedAttribute };
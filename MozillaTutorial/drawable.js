@@ -0,0 +1,151 @@
+import {
+    BufferedObject
+} from './buffers.js';
+import {
+    ProgramData
+} from './shaders.js';
+
+/**
+ * An object the Renderer draws every frame: buffered geometry, the program to draw it with and where it sits in the
+ * scene.
+ * @property {BufferedObject} buffered_object Buffers holding the geometry.
+ * @property {ProgramData} program_data Program and locations to draw the geometry with.
+ * @property {WebGLTexture} texture Texture sampled by the program, if any.
+ */
+class Drawable {
+    /**
+     * Instantiate a new Drawable.
+     * @param {BufferedObject} buffered_object Buffers holding the geometry.
+     * @param {ProgramData} program_data Program and locations to draw the geometry with.
+     * @param {Object} [options] Layout and placement of the drawable.
+     * @param {WebGLTexture} [options.texture] Texture sampled by the program.
+     * @param {Number} [options.count] Number of indices, or vertices when not indexed, to draw; all of them when
+     * omitted.
+     * @param {Boolean} [options.indexed] Whether the geometry is drawn through its index buffer, when it has one
+     * unless set.
+     * @param {GLenum} [options.mode] Primitive type to render, `TRIANGLES` when omitted.
+     * @param {Number[]} [options.translation] Position of the drawable in the scene.
+     * @param {Number[]} [options.rotation_axis] Axis the drawable spins around.
+     * @param {Number} [options.rotation_speed] Spin in radians per second.
+     * @param {Object<String, *>} [options.uniforms] Extra uniform values set on the program, by name.
+     */
+    constructor(buffered_object, program_data, {
+        texture = null,
+        count = buffered_object.count,
+        indexed = buffered_object.index !== null,
+        mode,
+        translation = [0.0, 0.0, 0.0],
+        rotation_axis = [0, 1, 0],
+        rotation_speed = 1.0,
+        uniforms = {}
+    } = {}) {
+        /**
+         * Buffers holding the geometry.
+         * @type {BufferedObject}
+         */
+        this._buffered_object = buffered_object;
+
+        /**
+         * Program and locations to draw the geometry with.
+         * @type {ProgramData}
+         */
+        this._program_data = program_data;
+
+        /**
+         * Texture sampled by the program.
+         * @type {WebGLTexture}
+         */
+        this.texture = texture;
+
+        /**
+         * Number of indices, or vertices when not indexed, to draw.
+         * @type {Number}
+         */
+        this.count = count;
+
+        /**
+         * Whether the geometry is drawn through its index buffer.
+         * @type {Boolean}
+         */
+        this.indexed = indexed;
+
+        /**
+         * Primitive type to render, left to the renderer when undefined.
+         * @type {GLenum}
+         */
+        this.mode = mode;
+
+        /**
+         * Position of the drawable in the scene.
+         * @type {Number[]}
+         */
+        this.translation = translation;
+
+        /**
+         * Axis the drawable spins around.
+         * @type {Number[]}
+         */
+        this.rotation_axis = rotation_axis;
+
+        /**
+         * Spin in radians per second.
+         * @type {Number}
+         */
+        this.rotation_speed = rotation_speed;
+
+        /**
+         * Extra uniform values set on the program, by name.
+         * @type {Object<String, *>}
+         */
+        this.uniforms = uniforms;
+
+        /**
+         * Current rotation around the axis in radians.
+         * @type {Number}
+         */
+        this.rotation = 0.0;
+
+        /**
+         * Transformation from model to world space.
+         * @type {mat4} 4x4 Matrix.
+         */
+        this._model_matrix = mat4.create();
+    }
+
+    /**
+     * Buffers holding the geometry.
+     * @type {BufferedObject}
+     */
+    get buffered_object() {
+        return this._buffered_object;
+    }
+
+    /**
+     * Program and locations to draw the geometry with.
+     * @type {ProgramData}
+     */
+    get program_data() {
+        return this._program_data;
+    }
+
+    /**
+     * Transformation from model to world space, as of the last update.
+     * @type {mat4} 4x4 Matrix.
+     */
+    get model_matrix() {
+        return this._model_matrix;
+    }
+
+    /**
+     * Advances the animation and rebuilds the model matrix.
+     * @param {Number} delta Seconds since the previous frame.
+     */
+    Update(delta) {
+        this.rotation += delta * this.rotation_speed;
+
+        mat4.fromTranslation(this._model_matrix, this.translation);
+        mat4.rotate(this._model_matrix, this._model_matrix, this.rotation, this.rotation_axis);
+    }
+}
+
+export { Drawable };
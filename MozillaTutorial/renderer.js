@@ -1,38 +1,29 @@
 import {
-    BufferedObject
-} from './buffers.js';
-import {
-    LoadTexture
-} from './textures.js';
+    Drawable
+} from './drawable.js';
 
 /**
- * Rendering assistance funtionality.
+ * Retained-mode renderer that owns a frame: clears the canvas, sets up the camera and draws every drawable in its
+ * list.
  * @property {WebGLRenderingContext} web_GL_rendering_context
- * @property {WebGLProgram} shader_program
- * @property {BufferedObject} buffered_object
+ * @property {Drawable[]} drawables
  */
 class Renderer {
     /**
      * Instantiate a new Renderer.
      * @param {WebGLRenderingContext} web_GL_rendering_context 
-     * @param {WebGLProgram} shader_program 
-     * @param {BufferedObject} buffered_object
      */
-    constructor(web_GL_rendering_context, shader_program, buffered_object) {
+    constructor(web_GL_rendering_context) {
         /**
          * @type {WebGLRenderingContext}
          */
         this._web_GL_rendering_context = web_GL_rendering_context;
 
         /**
-         * @type {WebGLProgram}
-         */
-        this._shader_program = shader_program;
-
-        /**
-         * @type {BufferedObject}
+         * Objects drawn every frame, in order.
+         * @type {Drawable[]}
          */
-        this._buffered_object = buffered_object;
+        this._drawables = [];
 
         /**
          * Perspective matrix, a special matrix that is used to simulate the distortion of perspective in a camera.
@@ -41,47 +32,40 @@ class Renderer {
         this._projection_matrix = mat4.create();
 
         /**
-         * Perspective matrix, a special matrix that is used to simulate the distortion of perspective in a camera.
+         * Transformation from world to camera space.
          * @type {mat4} 4x4 Matrix.
          */
-        this._model_view_matrix = mat4.create();
+        this._view_matrix = mat4.create();
 
         /**
-         * Perspective matrix, a special matrix that is used to simulate the distortion of perspective in a camera.
+         * Transformation from model to camera space of the drawable being drawn.
          * @type {mat4} 4x4 Matrix.
          */
-        this._normal_matrix = mat4.create();
+        this._model_view_matrix = mat4.create();
 
         /**
-         * Perspective matrix, a special matrix that is used to simulate the distortion of perspective in a camera.
-         * @type {Number} 4x4 Matrix.
+         * Inverse transpose of the model view matrix, used to transform surface normals.
+         * @type {mat4} 4x4 Matrix.
          */
-        this._square_rotation = 0.0;
+        this._normal_matrix = mat4.create();
 
         /**
-         * Perspective matrix, a special matrix that is used to simulate the distortion of perspective in a camera.
-         * @type {GLenum} 4x4 Matrix.
+         * Time of the previous frame in seconds, `null` before the first frame.
+         * @type {Number}
          */
-        this._float = web_GL_rendering_context.FLOAT;
+        this._then = null;
 
         /**
-         * Buffer containing vertex attributes, such as vertex coordinates, texture coordinate data, or vertex color
-         * data.
-         * @type {GLenum}
+         * Vertex attribute arrays currently enabled.
+         * @type {Set<GLuint>}
          */
-        this._array_buffer = web_GL_rendering_context.ARRAY_BUFFER;
+        this._enabled_attributes = new Set();
 
         /**
-         * Buffer used for element indices.
+         * Draws a triangle for a group of three vertices.
          * @type {GLenum}
          */
-        this._element_array_buffer = web_GL_rendering_context.ELEMENT_ARRAY_BUFFER;
-
-        /**
-         * The texture unit to make active.
-         * @type {WebGLTexture}
-         */
-        this._texture = LoadTexture(web_GL_rendering_context, './power_of_two_hd.jpg');
+        this._triangles = web_GL_rendering_context.TRIANGLES;
 
         /**
          * The texture unit to make active.
@@ -95,24 +79,12 @@ class Renderer {
          */
         this._texture_2D = web_GL_rendering_context.TEXTURE_2D;
 
-        mat4.perspective(
-            this._projection_matrix,
-            this.field_of_view,
-            this.aspect,
-            this.zNear,
-            this.zFar
-        );
-        
-        // Now move the drawing position a bit to where we want to
-        // start drawing the square.
+        // Move the camera back so the scene origin is in view.
         mat4.translate(
-            this._model_view_matrix,    // destination matrix
-            this._model_view_matrix,    // matrix to translate
+            this._view_matrix,          // destination matrix
+            this._view_matrix,          // matrix to translate
             [-0.0, 0.0, -6.0]           // amount to translate
-        );  
-
-        mat4.invert(this._normal_matrix, this._model_view_matrix);
-        mat4.transpose(this._normal_matrix, this._normal_matrix);
+        );
     }
 
     /**
@@ -123,17 +95,19 @@ class Renderer {
     }
 
     /**
-     * @type {WebGLProgram}
+     * Objects drawn every frame, in order.
+     * @type {Drawable[]}
      */
-    get shader_program() {
-        return this._shader_program;
+    get drawables() {
+        return this._drawables;
     }
 
     /**
-     * @type {BufferedObject}
+     * Transformation from world to camera space.
+     * @type {mat4} 4x4 Matrix.
      */
-    get buffered_object() {
-        return this._buffered_object;
+    get view_matrix() {
+        return this._view_matrix;
     }
 
     /**
@@ -150,7 +124,7 @@ class Renderer {
      */
     get aspect() {
         return this.web_GL_rendering_context.canvas.clientWidth /
-            this.web_GL_rendering_context.canvas.clientHeight;;
+            this.web_GL_rendering_context.canvas.clientHeight;
     }
 
     /**
@@ -169,52 +143,6 @@ class Renderer {
         return 100.0;
     }
 
-    /**
-     * Returns the location of an attribute variable in a given WebGLProgram.
-     * @param {WebGLProgram} program A WebGLProgram containing the attribute variable.
-     * @param {String} name A DOMString specifying the name of the attribute variable whose location to get.
-     * @returns {GLint} A GLint number indicating the location of the variable name if found.
-     */
-    GetAttribLocation(program, name) {
-        return this._web_GL_rendering_context.getAttribLocation(program, name);
-    }
-
-    /**
-     * Returns the location of a specific uniform variable which is part of a given WebGLProgram.
-     * @param {WebGLProgram} program The WebGLProgram in which to locate the specified uniform variable.
-     * @param {String} name A DOMString specifying the name of the uniform variable whose location is to be returned.
-     * @returns {WebGLUniformLocation} A WebGLUniformLocation value indicating the location of the named variable,
-     * if it exists.
-     */
-    GetUniformLocation(program, name) {
-        return this._web_GL_rendering_context.getUniformLocation(program, name);
-    }
-
-    /**
-     * Binds the buffer currently bound to the ARRAY_BUFFER to a generic vertex attribute of the current vertex buffer
-     * object and specifies its layout.
-     * @param {GLuint} index A GLuint specifying the index of the vertex attribute that is to be modified.
-     * @param {GLint} size A GLint specifying the number of components per vertex attribute. Must be 1, 2, 3, or 4.
-     * @param {GLenum} [type] A GLenum specifying the data type of each component in the array.
-     * @param {GLboolean} [normalized] A GLboolean specifying whether integer data values should be normalized into a
-     * certain range when being casted to a float.
-     * @param {GLsizei} [stride] A GLsizei specifying the offset in bytes between the beginning of consecutive vertex
-     * attributes.
-     * @param {GLintptr} [offset] A GLintptr specifying an offset in bytes of the first component in the vertex
-     * attribute array.
-     */
-    VertexAttribPointer(index, size, type = this._float, normalized = false, stride = 0, offset = 0) {
-        this.web_GL_rendering_context.vertexAttribPointer(index, size, type, normalized, stride, offset);
-    }
-
-    /**
-     * Turns on the generic vertex attribute array at the specified index into the list of attribute arrays.
-     * @param {GLuint} index A GLuint specifying the index number that uniquely identifies the vertex attribute to enable.
-     */
-    EnableVertexAttribArray(index) {
-        this.web_GL_rendering_context.enableVertexAttribArray(index)
-    }
-
     /**
      * Specifies which texture unit to make active.
      * @param {GLenum} texture The texture unit to make active.
@@ -233,93 +161,167 @@ class Renderer {
     }
 
     /**
-     * Specify values of uniform variables.
-     * @param {WebGLUniformLocation} location A WebGLUniformLocation object containing the location of the uniform
-     * attribute to modify.
-     * @param {Number} x An integer Number for integer values.
+     * Renders primitives from array data.
+     * @param {GLenum} mode A GLenum specifying the type primitive to render.
+     * @param {GLsizei} count A GLsizei specifying the number of elements to be rendered.
+     * @param {GLenum} type A GLenum specifying the type of the values in the element array buffer.
+     * @param {GLintptr} offset A GLintptr specifying a byte offset in the element array buffer.
+     */
+    DrawElements(mode, count, type, offset) {
+        this.web_GL_rendering_context.drawElements(mode, count, type, offset);
+    }
+
+    /**
+     * Turns off the generic vertex attribute array at the specified index into the list of attribute arrays.
+     * @param {GLuint} index A GLuint specifying the index number that uniquely identifies the vertex attribute to
+     * disable.
      */
-    Uniform1i(location, x) {
-        this.web_GL_rendering_context.uniform1i(location, x);
+    DisableVertexAttribArray(index) {
+        this.web_GL_rendering_context.disableVertexAttribArray(index);
     }
 
     /**
-     * Specify matrix values for uniform variables.
-     * @param {WebGLUniformLocation} location A WebGLUniformLocation object containing the location of the uniform
-     * attribute to modify.
-     * @param {GLboolean} transpose A GLboolean specifying whether to transpose the matrix.
-     * @param {Float32Array} value A Float32Array or sequence of GLfloat values.
+     * Sets the specified WebGLProgram as part of the current rendering state.
+     * @param {WebGLProgram} program A WebGLProgram to use.
      */
-    UniformMatrix4fv(location, transpose, value) {
-        this.web_GL_rendering_context.uniformMatrix4fv(location, transpose, value);
+    UseProgram(program) {
+        this.web_GL_rendering_context.useProgram(program);
     }
 
     /**
      * Renders primitives from array data.
      * @param {GLenum} mode A GLenum specifying the type primitive to render.
-     * @param {GLsizei} count A GLsizei specifying the number of elements to be rendered.
-     * @param {GLenum} type A GLenum specifying the type of the values in the element array buffer.
-     * @param {GLintptr} offset A GLintptr specifying a byte offset in the element array buffer.
+     * @param {GLint} first A GLint specifying the starting index in the array of vector points.
+     * @param {GLsizei} count A GLsizei specifying the number of indices to be rendered.
      */
-    DrawElements(mode, count, type, offset) {
-        this.web_GL_rendering_context.drawElements(mode, count, type, offset);
+    DrawArrays(mode, first, count) {
+        this.web_GL_rendering_context.drawArrays(mode, first, count);
     }
 
+    /**
+     * Clears the canvas to opaque black and sets up depth testing.
+     */
     ClearScreen() {
-        this.web_GL_rendering_context.clearColor(0.0, 0.0, 0.0, 1.0);  // Clear to black, fully opaque
-        this.web_GL_rendering_context.clearDepth(1.0);                 // Clear everything
-        this.web_GL_rendering_context.enable(gl.DEPTH_TEST);           // Enable depth testing
-        this.web_GL_rendering_context.depthFunc(gl.LEQUAL);            // Near things obscure far things
+        const gl = this.web_GL_rendering_context;
+
+        gl.clearColor(0.0, 0.0, 0.0, 1.0);  // Clear to black, fully opaque
+        gl.clearDepth(1.0);                 // Clear everything
+        gl.enable(gl.DEPTH_TEST);           // Enable depth testing
+        gl.depthFunc(gl.LEQUAL);            // Near things obscure far things
 
         // Clear the canvas before we start drawing on it.
-        this.web_GL_rendering_context.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
     }
 
     /**
-     * Binds a given WebGLBuffer to a target.
-     * @param {GLenum} target A GLenum specifying the binding point (target).
-     * @param {WebGLBuffer} buffer A WebGLBuffer to bind.
+     * Binds a texture to texture unit 0.
+     * @param {WebGLTexture} texture A WebGLTexture object to bind.
      */
-    BindBuffer(target, buffer) {
-        this.web_GL_rendering_context.bindBuffer(target, buffer);
+    ApplyTexture(texture) {
+        this.ActiveTexture(this._texture_0);
+        this.BindTexture(this._texture_2D, texture);
     }
 
     /**
-     * Specify in what order the attributes are stored, and what data type they are in.
-     * @param {WebGLBuffer} buffer A WebGLBuffer to bind.
-     * @param {GLuint} index A GLuint specifying the index of the vertex attribute that is to be modified.
-     * @param {GLint} size A GLint specifying the number of components per vertex attribute. Must be 1, 2, 3, or 4.
+     * Adds a drawable to the end of the list drawn every frame.
+     * @param {Drawable} drawable Drawable to add.
+     * @returns {Drawable} The added drawable.
      */
-    BufferAttribute(buffer, index, size) {
-        this.BindBuffer(this._array_buffer, buffer);
-        this.VertexAttribPointer(index, size);
-        this.EnableVertexAttribArray(index);
+    Add(drawable) {
+        this._drawables.push(drawable);
+        return drawable;
     }
 
-    ApplyTexture(texture) {
-        this.ActiveTexture(this._texture_0);
-        this.BindTexture(this._texture_2D, this._texture);
+    /**
+     * Removes a drawable from the list drawn every frame.
+     * @param {Drawable} drawable Drawable to remove.
+     */
+    Remove(drawable) {
+        const index = this._drawables.indexOf(drawable);
+        if (index !== -1) {
+            this._drawables.splice(index, 1);
+        }
     }
 
-    Render() {
-        ClearScreen();
-        this.BufferAttribute(
-            this.buffered_object.position,
-            this.GetAttribLocation(this.shader_program, 'aVertexPosition'),
-            3
-        );
-        this.BufferAttribute(
-            this.buffered_object.fill,
-            this.GetAttribLocation(this.shader_program, 'aTextureCoord'),
-            2
-        );
-        this.BufferAttribute(
-            this.buffered_object.normal,
-            this.GetAttribLocation(this.shader_program, 'aVertexNormal'),
-            3
+    /**
+     * Draws a frame: advances every drawable, clears the canvas and draws the drawables in order.
+     * @param {Number} time Time in milliseconds, as passed to a `requestAnimationFrame` callback.
+     */
+    Render(time) {
+        const now = time * 0.001;  // convert to seconds
+        const delta = this._then === null ? 0 : now - this._then;
+        this._then = now;
+
+        this.ClearScreen();
+
+        // note: glmatrix.js always has the first argument as the destination to receive the result.
+        mat4.perspective(
+            this._projection_matrix,
+            this.field_of_view,
+            this.aspect,
+            this.zNear,
+            this.zFar
         );
-        this.web_GL_rendering_context.useProgram(this.shader_program);
 
-        
+        for (const drawable of this._drawables) {
+            drawable.Update(delta);
+            this.Draw(drawable);
+        }
+    }
+
+    /**
+     * Draws a single drawable with the current projection and view.
+     * @param {Drawable} drawable Drawable to draw.
+     */
+    Draw(drawable) {
+        const program_data = drawable.program_data;
+        const buffered_object = drawable.buffered_object;
+
+        mat4.multiply(this._model_view_matrix, this._view_matrix, drawable.model_matrix);
+        mat4.invert(this._normal_matrix, this._model_view_matrix);
+        mat4.transpose(this._normal_matrix, this._normal_matrix);
+
+        // Point the program's attributes at the buffers, and turn off arrays left over from other programs.
+        const used = buffered_object.Bind(program_data);
+
+        for (const index of this._enabled_attributes) {
+            if (!used.has(index)) {
+                this.DisableVertexAttribArray(index);
+            }
+        }
+        this._enabled_attributes = used;
+
+        this.UseProgram(program_data.program);
+
+        if (drawable.texture && program_data.HasUniform('uSampler')) {
+            this.ApplyTexture(drawable.texture);
+
+            // Tell the shader we bound the texture to texture unit 0
+            program_data.SetUniform('uSampler', 0);
+        }
+
+        // Programs only get the camera uniforms they declare, so custom shaders may leave some out.
+        const camera_uniforms = {
+            uProjectionMatrix: this._projection_matrix,
+            uModelViewMatrix: this._model_view_matrix,
+            uNormalMatrix: this._normal_matrix
+        };
+        for (const name of Object.keys(camera_uniforms)) {
+            if (program_data.HasUniform(name)) {
+                program_data.SetUniform(name, camera_uniforms[name]);
+            }
+        }
+
+        program_data.SetUniforms(drawable.uniforms);
+
+        const mode = drawable.mode === undefined ? this._triangles : drawable.mode;
+
+        if (drawable.indexed) {
+            this.DrawElements(mode, drawable.count, buffered_object.index_type, 0);
+        } else {
+            this.DrawArrays(mode, 0, drawable.count);
+        }
     }
-    
 }
+
+export { Renderer };
@@ -0,0 +1,197 @@
+/**
+ * Matches ANGLE and Mesa style messages: `ERROR: 0:12: 'foo' : undeclared identifier`.
+ * @type {RegExp}
+ */
+const angle_pattern = /^(ERROR|WARNING):\s*(\d+):(\d+):\s*(.*)$/i;
+
+/**
+ * Matches NVIDIA style messages: `0(12) : error C1008: undefined variable "foo"`.
+ * @type {RegExp}
+ */
+const nvidia_pattern = /^(\d+)\((\d+)\)\s*:\s*(error|warning)\b[^:]*:\s*(.*)$/i;
+
+/**
+ * Matches messages without a location, as link logs usually are: `error: varying vColor not written`.
+ * @type {RegExp}
+ */
+const plain_pattern = /^(error|warning)\s*:\s*(.*)$/i;
+
+/**
+ * Matches the summary some drivers end a log with, which repeats what the other lines say.
+ * @type {RegExp}
+ */
+const summary_pattern = /^ERROR:\s*\d+\s+compilation errors?\.\s+No code generated\.?$/i;
+
+/**
+ * A single message from a shader info log.
+ * @typedef {Object} ShaderDiagnostic
+ * @property {String} severity `error` or `warning`.
+ * @property {Number} line 1-based line in the compiled source, `null` when the message has none.
+ * @property {String} message Message without the severity and location prefix.
+ * @property {String} origin Source or chunk the line was written in, `null` when unknown.
+ * @property {Number} origin_line 1-based line in that source or chunk, `null` when unknown.
+ */
+
+/**
+ * Parses a driver info log into its messages.
+ * @param {String} log Info log from `getShaderInfoLog` or `getProgramInfoLog`.
+ * @param {{origin: String, line: Number}[]} [lines] Origin of each compiled line, as built by `ShaderLibrary.Expand`.
+ * @returns {ShaderDiagnostic[]} Messages in log order.
+ */
+function ParseInfoLog(log, lines = null) {
+    const diagnostics = [];
+
+    for (const text of (log || '').split('\n').map((text) => text.trim())) {
+        if (text === '' || text === '\0' || summary_pattern.test(text)) {
+            continue;
+        }
+
+        let severity = 'error';
+        let line = null;
+        let message = text;
+
+        let match = angle_pattern.exec(text);
+        if (match !== null) {
+            severity = match[1].toLowerCase();
+            line = Number(match[3]);
+            message = match[4];
+        } else if ((match = nvidia_pattern.exec(text)) !== null) {
+            severity = match[3].toLowerCase();
+            line = Number(match[2]);
+            message = match[4];
+        } else if ((match = plain_pattern.exec(text)) !== null) {
+            severity = match[1].toLowerCase();
+            message = match[2];
+        }
+
+        const origin = line !== null && lines !== null ? lines[line - 1] : undefined;
+
+        diagnostics.push({
+            severity,
+            line,
+            message,
+            origin: origin === undefined ? null : origin.origin,
+            origin_line: origin === undefined ? null : origin.line
+        });
+    }
+
+    return diagnostics;
+}
+
+/**
+ * Describes where a diagnostic points, as `origin:line` when the origin is known.
+ * @param {ShaderDiagnostic} diagnostic Diagnostic to locate.
+ * @returns {String} Location, empty when the diagnostic has no line.
+ */
+function DiagnosticLocation(diagnostic) {
+    if (diagnostic.origin !== null) {
+        return `${diagnostic.origin}:${diagnostic.origin_line}`;
+    }
+    return diagnostic.line === null ? '' : `line ${diagnostic.line}`;
+}
+
+/**
+ * Prints the lines around a line of compiled source, the line itself marked with `>`. Lines are labelled with where
+ * they were written when the origins are given.
+ * @param {String} source Compiled source.
+ * @param {Number} line 1-based line to highlight.
+ * @param {{origin: String, line: Number}[]} [lines] Origin of each compiled line.
+ * @param {Number} [context] Number of lines shown before and after.
+ * @returns {String} Code frame.
+ */
+function CodeFrame(source, line, lines = null, context = 2) {
+    const source_lines = source.split('\n');
+    const first = Math.max(1, line - context);
+    const last = Math.min(source_lines.length, line + context);
+
+    const labels = [];
+    for (let number = first; number <= last; number++) {
+        const origin = lines !== null ? lines[number - 1] : undefined;
+        labels.push(origin === undefined ? String(number) : `${origin.origin}:${origin.line}`);
+    }
+    const width = Math.max(...labels.map((label) => label.length));
+
+    return labels.map((label, index) => {
+        const number = first + index;
+        const marker = number === line ? '>' : ' ';
+        return `${marker} ${label.padStart(width)} | ${source_lines[number - 1]}`;
+    }).join('\n');
+}
+
+/**
+ * Formats diagnostics as a readable report, each followed by its code frame when the source is known.
+ * @param {ShaderDiagnostic[]} diagnostics Diagnostics to report.
+ * @param {String} [source] Compiled source.
+ * @param {{origin: String, line: Number}[]} [lines] Origin of each compiled line.
+ * @returns {String} Report.
+ */
+function FormatDiagnostics(diagnostics, source = null, lines = null) {
+    return diagnostics.map((diagnostic) => {
+        const location = DiagnosticLocation(diagnostic);
+        const heading = `${diagnostic.severity}${location === '' ? '' : ' at ' + location}: ${diagnostic.message}`;
+
+        if (source === null || diagnostic.line === null) {
+            return heading;
+        }
+        return heading + '\n' + CodeFrame(source, diagnostic.line, lines);
+    }).join('\n\n');
+}
+
+/**
+ * Thrown when a shader fails to compile.
+ * @property {String} stage `vertex` or `fragment`.
+ * @property {String} label Name of the shader, usually its program and stage.
+ * @property {String} log Info log as returned by the driver.
+ * @property {ShaderDiagnostic[]} diagnostics Parsed messages of the log.
+ * @property {String} source Compiled source.
+ * @property {{origin: String, line: Number}[]} lines Origin of each compiled line, `null` when unknown.
+ */
+class ShaderCompileError extends Error {
+    /**
+     * Instantiate a compile error.
+     * @param {String} stage `vertex` or `fragment`.
+     * @param {String} label Name of the shader.
+     * @param {String} log Info log as returned by the driver.
+     * @param {String} source Compiled source.
+     * @param {{origin: String, line: Number}[]} [lines] Origin of each compiled line.
+     */
+    constructor(stage, label, log, source, lines = null) {
+        const diagnostics = ParseInfoLog(log, lines);
+
+        super(`Failed to compile ${stage} shader ${label}:\n\n${FormatDiagnostics(diagnostics, source, lines)}`);
+
+        this.name = 'ShaderCompileError';
+        this.stage = stage;
+        this.label = label;
+        this.log = log;
+        this.diagnostics = diagnostics;
+        this.source = source;
+        this.lines = lines;
+    }
+}
+
+/**
+ * Thrown when a program fails to link, for instance when a varying is missing from one of its shaders.
+ * @property {String} label Name of the program.
+ * @property {String} log Info log as returned by the driver.
+ * @property {ShaderDiagnostic[]} diagnostics Parsed messages of the log.
+ */
+class ShaderLinkError extends Error {
+    /**
+     * Instantiate a link error.
+     * @param {String} label Name of the program.
+     * @param {String} log Info log as returned by the driver.
+     */
+    constructor(label, log) {
+        const diagnostics = ParseInfoLog(log);
+
+        super(`Failed to link shader program ${label}:\n\n${FormatDiagnostics(diagnostics)}`);
+
+        this.name = 'ShaderLinkError';
+        this.label = label;
+        this.log = log;
+        this.diagnostics = diagnostics;
+    }
+}
+
+export { ParseInfoLog, CodeFrame, FormatDiagnostics, ShaderCompileError, ShaderLinkError };
@@ -0,0 +1,351 @@
+/**
+ * Directional lighting, computed per vertex from the surface normal.
+ * @type {String}
+ */
+const lighting_vertex = `
+    attribute vec3 aVertexNormal;
+
+    uniform mat4 uNormalMatrix;
+
+    varying highp vec3 vLighting;
+
+    highp vec3 computeLighting(vec3 normal) {
+        highp vec3 ambientLight = vec3(0.3, 0.3, 0.3);
+        highp vec3 directionalLightColor = vec3(1, 1, 1);
+        highp vec3 directionalVector = normalize(vec3(-1, 1, 1));
+
+        highp vec4 transformedNormal = uNormalMatrix * vec4(normal, 1.0);
+
+        highp float directional = max(dot(transformedNormal.xyz, directionalVector), 0.0);
+        return ambientLight + (directionalLightColor * directional);
+    }
+`;
+
+/**
+ * Texture sampling at the interpolated texture coordinate.
+ * @type {String}
+ */
+const texture_fragment = `
+    varying highp vec2 vTextureCoord;
+
+    uniform sampler2D uSampler;
+
+    vec4 sampleTexture() {
+        return texture2D(uSampler, vTextureCoord);
+    }
+`;
+
+/**
+ * Vertex shader shared by the built-in programs. `USE_TEXTURE` swaps vertex colors for texture coordinates,
+ * `USE_LIGHTING` and `USE_FOG` pull in the matching chunks.
+ * @type {String}
+ */
+const standard_vertex = `
+    attribute vec4 aVertexPosition;
+
+    #ifdef USE_TEXTURE
+        attribute vec2 aTextureCoord;
+        varying highp vec2 vTextureCoord;
+    #else
+        attribute vec4 aVertexColor;
+        varying lowp vec4 vColor;
+    #endif
+
+    #ifdef USE_LIGHTING
+        #include <lighting_vertex>
+    #endif
+
+    #ifdef USE_FOG
+        #include <fog_vertex>
+    #endif
+
+    uniform mat4 uModelViewMatrix;
+    uniform mat4 uProjectionMatrix;
+
+    void main(void) {
+        vec4 mvPosition = uModelViewMatrix * aVertexPosition;
+        gl_Position = uProjectionMatrix * mvPosition;
+
+        #ifdef USE_TEXTURE
+            vTextureCoord = aTextureCoord;
+        #else
+            vColor = aVertexColor;
+        #endif
+
+        #ifdef USE_LIGHTING
+            vLighting = computeLighting(aVertexNormal);
+        #endif
+
+        #ifdef USE_FOG
+            vFogDepth = -mvPosition.z;
+        #endif
+    }
+`;
+
+/**
+ * Fragment shader shared by the built-in programs, with the same defines as `standard_vertex`.
+ * @type {String}
+ */
+const standard_fragment = `
+    precision mediump float;
+
+    #ifdef USE_TEXTURE
+        #include <texture_fragment>
+    #else
+        varying lowp vec4 vColor;
+    #endif
+
+    #ifdef USE_LIGHTING
+        varying highp vec3 vLighting;
+    #endif
+
+    #ifdef USE_FOG
+        #include <fog_fragment>
+    #endif
+
+    void main(void) {
+        #ifdef USE_TEXTURE
+            vec4 color = sampleTexture();
+        #else
+            vec4 color = vColor;
+        #endif
+
+        #ifdef USE_LIGHTING
+            color.rgb *= vLighting;
+        #endif
+
+        #ifdef USE_FOG
+            color.rgb = applyFog(color.rgb);
+        #endif
+
+        gl_FragColor = color;
+    }
+`;
+
+/**
+ * Matches a line holding an `#include <name>` or `#include "name"` directive.
+ * @type {RegExp}
+ */
+const include_pattern = /^[ \t]*#include\s+[<"]([\w.\-\/]+)[>"][ \t]*$/;
+
+/**
+ * Registry of named shader programs and the source chunks they `#include`.
+ *
+ * Programs are a vertex and fragment source plus a set of `#define`s, so one pair of sources can be registered
+ * several times as different variants. Sources are registered inline or fetched from .glsl files.
+ */
+class ShaderLibrary {
+    /**
+     * Instantiate an empty shader library.
+     */
+    constructor() {
+        /**
+         * Source chunks by name.
+         * @type {Map<String, String>}
+         */
+        this._chunks = new Map();
+
+        /**
+         * Programs by name.
+         * @type {Map<String, {vertex: String, fragment: String, defines: Object<String, (String|Number|Boolean)>}>}
+         */
+        this._programs = new Map();
+    }
+
+    /**
+     * Names of the registered programs.
+     * @type {String[]}
+     */
+    get program_names() {
+        return Array.from(this._programs.keys());
+    }
+
+    /**
+     * Registers a chunk of GLSL that sources can pull in with `#include <name>`.
+     * @param {String} name Name used in the include directive.
+     * @param {String} source GLSL source of the chunk.
+     * @returns {ShaderLibrary} This library.
+     */
+    RegisterChunk(name, source) {
+        this._chunks.set(name, source);
+        return this;
+    }
+
+    /**
+     * Registers a program under a name.
+     * @param {String} name Name to create the program by.
+     * @param {String} vertex Vertex shader source.
+     * @param {String} fragment Fragment shader source.
+     * @param {Object<String, (String|Number|Boolean)>} [defines] Defines prepended to both sources.
+     * @returns {ShaderLibrary} This library.
+     */
+    RegisterProgram(name, vertex, fragment, defines = {}) {
+        this._programs.set(name, { vertex, fragment, defines });
+        return this;
+    }
+
+    /**
+     * Whether a program is registered under a name.
+     * @param {String} name Program name.
+     * @returns {Boolean}
+     */
+    HasProgram(name) {
+        return this._programs.has(name);
+    }
+
+    /**
+     * Looks up a registered program.
+     * @param {String} name Program name.
+     * @returns {{vertex: String, fragment: String, defines: Object<String, (String|Number|Boolean)>}}
+     */
+    GetProgram(name) {
+        const program = this._programs.get(name);
+        if (program === undefined) {
+            throw new Error(`Unknown shader program "${name}"`);
+        }
+        return program;
+    }
+
+    /**
+     * Downloads a text resource such as a .glsl file.
+     * @param {URL|String} url Location of the resource.
+     * @returns {Promise<String>} Contents of the resource.
+     */
+    async Fetch(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch shader source ${url}: ${response.status} ${response.statusText}`);
+        }
+        return response.text();
+    }
+
+    /**
+     * Fetches a .glsl file and registers it as a chunk.
+     * @param {String} name Name used in the include directive.
+     * @param {URL|String} url Location of the .glsl file.
+     * @returns {Promise<ShaderLibrary>} This library.
+     */
+    async FetchChunk(name, url) {
+        return this.RegisterChunk(name, await this.Fetch(url));
+    }
+
+    /**
+     * Fetches a vertex and a fragment .glsl file and registers them as a program.
+     * @param {String} name Name to create the program by.
+     * @param {URL|String} vertex_url Location of the vertex shader.
+     * @param {URL|String} fragment_url Location of the fragment shader.
+     * @param {Object<String, (String|Number|Boolean)>} [defines] Defines prepended to both sources.
+     * @returns {Promise<ShaderLibrary>} This library.
+     */
+    async FetchProgram(name, vertex_url, fragment_url, defines = {}) {
+        const [vertex, fragment] = await Promise.all([this.Fetch(vertex_url), this.Fetch(fragment_url)]);
+        return this.RegisterProgram(name, vertex, fragment, defines);
+    }
+
+    /**
+     * Splits a source into lines, replacing `#include` lines with the lines of their chunks, recursively. Each line
+     * remembers where it was written.
+     * @param {String} source GLSL source.
+     * @param {String} origin Name of the source, reported for its lines.
+     * @param {String[]} [stack] Chunks being expanded, to report include cycles.
+     * @returns {{text: String, origin: String, line: Number}[]} Lines with their origin and 1-based line number.
+     */
+    ExpandLines(source, origin, stack = []) {
+        const lines = [];
+
+        source.split('\n').forEach((text, index) => {
+            const match = include_pattern.exec(text);
+            if (match === null) {
+                lines.push({ text, origin, line: index + 1 });
+                return;
+            }
+
+            const name = match[1];
+            if (stack.includes(name)) {
+                throw new Error(`Shader chunk "${name}" includes itself: ${stack.concat(name).join(' -> ')}`);
+            }
+            const chunk = this._chunks.get(name);
+            if (chunk === undefined) {
+                throw new Error(`Unknown shader chunk "${name}" included from ${origin}:${index + 1}`);
+            }
+            lines.push(...this.ExpandLines(chunk, name, stack.concat(name)));
+        });
+
+        return lines;
+    }
+
+    /**
+     * Replaces `#include` directives with their chunks, recursively.
+     * @param {String} source GLSL source.
+     * @returns {String} Source without include directives.
+     */
+    ResolveIncludes(source) {
+        return this.ExpandLines(source, 'source').map((line) => line.text).join('\n');
+    }
+
+    /**
+     * Builds the final source of a shader along with where each of its lines came from: defines first, after a
+     * `#version` directive if there is one, then the source with its includes resolved. Defines set to `false` are
+     * left out.
+     * @param {String} source GLSL source.
+     * @param {Object<String, (String|Number|Boolean)>} [defines] Defines to prepend.
+     * @param {String} [origin] Name of the source, reported for its lines.
+     * @returns {{source: String, lines: {origin: String, line: Number}[]}} Source ready to compile, and the origin of
+     * each of its lines, so line `n` of a driver message is described by `lines[n - 1]`.
+     */
+    Expand(source, defines = {}, origin = 'source') {
+        const define_lines = Object.keys(defines)
+            .filter((name) => defines[name] !== false)
+            .map((name, index) => ({
+                text: defines[name] === true ? `#define ${name}` : `#define ${name} ${defines[name]}`,
+                origin: '#define',
+                line: index + 1
+            }));
+
+        const body = this.ExpandLines(source, origin);
+
+        const version = body.findIndex((line) => line.text.trim() !== '');
+        const head = version !== -1 && body[version].text.trim().startsWith('#version') ?
+            body.splice(version, 1) :
+            [];
+
+        const lines = head.concat(define_lines, body);
+
+        return {
+            source: lines.map((line) => line.text).join('\n'),
+            lines: lines.map(({ origin, line }) => ({ origin, line }))
+        };
+    }
+
+    /**
+     * Builds the final source of a shader, see `Expand`.
+     * @param {String} source GLSL source.
+     * @param {Object<String, (String|Number|Boolean)>} [defines] Defines to prepend.
+     * @returns {String} Source ready to compile.
+     */
+    Preprocess(source, defines = {}) {
+        return this.Expand(source, defines).source;
+    }
+}
+
+/**
+ * Chunks kept as .glsl files next to this module, by name. Includes are resolved whether or not their `#ifdef` is
+ * set, so these have to be fetched into the library before any built-in program is created.
+ * @type {Object<String, URL>}
+ */
+const chunk_urls = {
+    fog_vertex: new URL('./shaders/fog_vertex.glsl', import.meta.url),
+    fog_fragment: new URL('./shaders/fog_fragment.glsl', import.meta.url)
+};
+
+/**
+ * Library holding the built-in chunks and programs, see `chunk_urls` for the chunks still to fetch.
+ * @type {ShaderLibrary}
+ */
+const shader_library = new ShaderLibrary()
+    .RegisterChunk('lighting_vertex', lighting_vertex)
+    .RegisterChunk('texture_fragment', texture_fragment)
+    .RegisterProgram('flat', standard_vertex, standard_fragment)
+    .RegisterProgram('textured', standard_vertex, standard_fragment, { USE_TEXTURE: true, USE_LIGHTING: true });
+
+export { ShaderLibrary, shader_library, chunk_urls };
@@ -1,125 +1,259 @@
-
+import {
+    ShaderLibrary,
+    shader_library
+} from './shader_library.js';
+import {
+    ShaderCompileError,
+    ShaderLinkError
+} from './shader_diagnostics.js';
 
 /**
-* Vertex shader program source code.
-* @type {String}
+* Initialize a shader program, so WebGL knows how to draw our data.
+* @param {WebGLRenderingContext} gl WebGL rendering context.
+* @param {String} [name] Name of a program in the shader library, `flat` or `textured`.
+* @param {Object<String, (String|Number|Boolean)>} [defines] Defines added to the program's own.
+* @returns {ShaderProgram} WebGL program data.
+* @throws {ShaderCompileError} When one of the shaders fails to compile.
+* @throws {ShaderLinkError} When the program fails to link.
 */
-const flat_vertex_shader_source = `
-    attribute vec4 aVertexPosition;
-    attribute vec4 aVertexColor;
+function initShaderProgram(gl, name = 'textured', defines = {}) {
 
-    uniform mat4 uModelViewMatrix;
-    uniform mat4 uProjectionMatrix;
+    const shader_program_factory = new ShaderProgramFactory(gl);
 
-    varying lowp vec4 vColor;
+    const shader_program = shader_program_factory.CreateShaderProgram(name, defines);
 
-    void main() {
-        gl_Position = uProjectionMatrix * uModelViewMatrix * aVertexPosition;
-        vColor = aVertexColor;
-    }
-`;
+    return new ShaderProgram(gl, shader_program);
+}
 
 /**
-* Fragment shader program source code.
-* @type {String}
-*/
-const flat_fragment_shader_source = `
-    varying lowp vec4 vColor;
+ * A linked WebGL program together with its active attributes and uniforms, read back from the program itself.
+ * @property {WebGLProgram} program The linked WebGL program.
+ * @property {Map<String, {location: GLint, type: GLenum, size: GLint}>} attributes Active attributes by name.
+ * @property {Map<String, {location: WebGLUniformLocation, type: GLenum, size: GLint}>} uniforms Active uniforms by
+ * name, arrays under their name without the `[0]` suffix.
+ */
+class ShaderProgram {
+    /**
+     * Wrap a linked program and reflect its active attributes and uniforms.
+     * @param {WebGLRenderingContext} web_GL_rendering_context WebGL rendering context.
+     * @param {WebGLProgram} shader_program A linked WebGL program.
+     */
+    constructor(web_GL_rendering_context, shader_program) {
+        const gl = web_GL_rendering_context;
 
-    void main() {
-        gl_FragColor = vColor;
-    }
-`;
+        /**
+         * @type {WebGLRenderingContext}
+         */
+        this._web_GL_rendering_context = web_GL_rendering_context;
 
-/**
-* Vertex shader program source code.
-* @type {String}
-*/
-const texture_vertex_shader_source = `
-    attribute vec4 aVertexPosition;
-    attribute vec3 aVertexNormal;
-    attribute vec2 aTextureCoord;
+        /**
+         * The linked WebGL program.
+         * @type {WebGLProgram}
+         */
+        this._program = shader_program;
 
-    uniform mat4 uNormalMatrix;
-    uniform mat4 uModelViewMatrix;
-    uniform mat4 uProjectionMatrix;
+        /**
+         * Active attributes by name.
+         * @type {Map<String, {location: GLint, type: GLenum, size: GLint}>}
+         */
+        this._attributes = new Map();
 
-    varying highp vec2 vTextureCoord;
-    varying highp vec3 vLighting;
+        /**
+         * Active uniforms by name, arrays under their name without the `[0]` suffix.
+         * @type {Map<String, {location: WebGLUniformLocation, type: GLenum, size: GLint}>}
+         */
+        this._uniforms = new Map();
 
-    void main(void) {
-        gl_Position = uProjectionMatrix * uModelViewMatrix * aVertexPosition;
-        vTextureCoord = aTextureCoord;
+        /**
+         * Names already warned about, so unknown uniforms set every frame are only reported once.
+         * @type {Set<String>}
+         */
+        this._warned = new Set();
+
+        const attribute_count = gl.getProgramParameter(shader_program, gl.ACTIVE_ATTRIBUTES);
+        for (let i = 0; i < attribute_count; i++) {
+            const info = gl.getActiveAttrib(shader_program, i);
+            this._attributes.set(info.name, {
+                location: gl.getAttribLocation(shader_program, info.name),
+                type: info.type,
+                size: info.size
+            });
+        }
 
-        // Apply lighting effect
+        const uniform_count = gl.getProgramParameter(shader_program, gl.ACTIVE_UNIFORMS);
+        for (let i = 0; i < uniform_count; i++) {
+            const info = gl.getActiveUniform(shader_program, i);
+            this._uniforms.set(info.name.replace(/\[0\]$/, ''), {
+                location: gl.getUniformLocation(shader_program, info.name),
+                type: info.type,
+                size: info.size
+            });
+        }
+    }
 
-        highp vec3 ambientLight = vec3(0.3, 0.3, 0.3);
-        highp vec3 directionalLightColor = vec3(1, 1, 1);
-        highp vec3 directionalVector = normalize(vec3(-1, 1, 1));
+    /**
+     * @type {WebGLRenderingContext}
+     */
+    get web_GL_rendering_context() {
+        return this._web_GL_rendering_context;
+    }
 
-        highp vec4 transformedNormal = uNormalMatrix * vec4(aVertexNormal, 1.0);
+    /**
+     * The linked WebGL program.
+     * @type {WebGLProgram}
+     */
+    get program() {
+        return this._program;
+    }
 
-        highp float directional = max(dot(transformedNormal.xyz, directionalVector), 0.0);
-        vLighting = ambientLight + (directionalLightColor * directional);
+    /**
+     * Active attributes by name.
+     * @type {Map<String, {location: GLint, type: GLenum, size: GLint}>}
+     */
+    get attributes() {
+        return this._attributes;
     }
-`;
 
-/**
-* Fragment shader program source code.
-* @type {String}
-*/
-const texture_fragment_shader_source = `
-    varying highp vec2 vTextureCoord;
-    varying highp vec3 vLighting;
+    /**
+     * Active uniforms by name, arrays under their name without the `[0]` suffix.
+     * @type {Map<String, {location: WebGLUniformLocation, type: GLenum, size: GLint}>}
+     */
+    get uniforms() {
+        return this._uniforms;
+    }
 
-    uniform sampler2D uSampler;
+    /**
+     * Whether the program has an active attribute of the given name.
+     * @param {String} name Attribute name.
+     * @returns {Boolean}
+     */
+    HasAttribute(name) {
+        return this._attributes.has(name);
+    }
 
-    void main(void) {
-        highp vec4 texelColor = texture2D(uSampler, vTextureCoord);
+    /**
+     * Whether the program has an active uniform of the given name.
+     * @param {String} name Uniform name, without `[0]` for arrays.
+     * @returns {Boolean}
+     */
+    HasUniform(name) {
+        return this._uniforms.has(name);
+    }
 
-        gl_FragColor = vec4(texelColor.rgb * vLighting, texelColor.a);
+    /**
+     * Location of an active attribute.
+     * @param {String} name Attribute name.
+     * @returns {GLint} Location of the attribute, -1 when the program does not use it.
+     */
+    GetAttribLocation(name) {
+        const attribute = this._attributes.get(name);
+        return attribute === undefined ? -1 : attribute.location;
     }
-`;
-/**
-* Initialize a shader program, so WebGL knows how to draw our data.
-* @param {WebGLRenderingContext} gl WebGL rendering context.
-* @returns {ShaderProgram} WebGL program data.
-*/
-function initShaderProgram(gl) {
 
-    const shader_program_factory = new ShaderProgramFactory(gl);
+    /**
+     * Sets a uniform with the `uniform*` call matching its GLSL type. The program must be in use.
+     * @param {String} name Uniform name, without `[0]` for arrays.
+     * @param {Number|Boolean|Number[]|Float32Array|Int32Array} value Value of the uniform; a sequence for vectors,
+     * matrices and arrays.
+     */
+    SetUniform(name, value) {
+        const uniform = this._uniforms.get(name);
+        if (uniform === undefined) {
+            this.Warn(name, `ShaderProgram: Unknown uniform "${name}".`);
+            return;
+        }
 
-    const texture_program_data = new TexturedProgramData(gl, shader_program_factory.CreateShaderProgram());
+        const setter = ShaderProgram.Setter(this.web_GL_rendering_context, uniform.type);
+        if (setter === undefined) {
+            this.Warn(name, `ShaderProgram: Uniform "${name}" has unsupported type 0x${uniform.type.toString(16)}.`);
+            return;
+        }
 
-    return texture_program_data;
-}
+        setter(uniform.location, value);
+    }
 
-class ShaderProgram {
-    constructor(gl, shader_program, mode) {
-        this.program = shader_program;
-        this.attribLocations = {
-            vertexPosition: gl.getAttribLocation(shader_program, 'aVertexPosition'),
-            vertexNormal: gl.getAttribLocation(shader_program, 'aVertexNormal'),
-            vertexColor: gl.getAttribLocation(shader_program, mode)
-        };
-        this.uniformLocations = {
-            projectionMatrix: gl.getUniformLocation(shader_program, 'uProjectionMatrix'),
-            modelViewMatrix: gl.getUniformLocation(shader_program, 'uModelViewMatrix'),
-            normalMatrix: gl.getUniformLocation(shader_program, 'uNormalMatrix'),
-            uSampler: gl.getUniformLocation(shader_program, 'uSampler')
-        };
+    /**
+     * Sets several uniforms at once.
+     * @param {Object<String, *>} values Uniform values by name.
+     */
+    SetUniforms(values) {
+        for (const name of Object.keys(values)) {
+            this.SetUniform(name, values[name]);
+        }
+    }
+
+    /**
+     * Reports a problem with a name once.
+     * @param {String} name Uniform name.
+     * @param {String} message Warning to print.
+     */
+    Warn(name, message) {
+        if (!this._warned.has(name)) {
+            this._warned.add(name);
+            console.warn(message);
+        }
+    }
+
+    /**
+     * Looks up the `uniform*` call for a GLSL type. Scalars accept a single value or, for arrays, a sequence.
+     * @param {WebGLRenderingContext} gl WebGL rendering context.
+     * @param {GLenum} type Type reported by `getActiveUniform`.
+     * @returns {function(WebGLUniformLocation, *)} Setter, undefined for types WebGL 1 does not have.
+     */
+    static Setter(gl, type) {
+        let setters = ShaderProgram._setters.get(gl);
+
+        if (setters === undefined) {
+            const is_sequence = (value) => Array.isArray(value) || ArrayBuffer.isView(value);
+            const integer = (location, value) => is_sequence(value) ?
+                gl.uniform1iv(location, value) :
+                gl.uniform1i(location, Number(value));
+
+            setters = new Map([
+                [gl.FLOAT, (location, value) => is_sequence(value) ?
+                    gl.uniform1fv(location, value) :
+                    gl.uniform1f(location, value)],
+                [gl.FLOAT_VEC2, (location, value) => gl.uniform2fv(location, value)],
+                [gl.FLOAT_VEC3, (location, value) => gl.uniform3fv(location, value)],
+                [gl.FLOAT_VEC4, (location, value) => gl.uniform4fv(location, value)],
+                [gl.INT, integer],
+                [gl.BOOL, integer],
+                [gl.SAMPLER_2D, integer],
+                [gl.SAMPLER_CUBE, integer],
+                [gl.INT_VEC2, (location, value) => gl.uniform2iv(location, value)],
+                [gl.INT_VEC3, (location, value) => gl.uniform3iv(location, value)],
+                [gl.INT_VEC4, (location, value) => gl.uniform4iv(location, value)],
+                [gl.BOOL_VEC2, (location, value) => gl.uniform2iv(location, value)],
+                [gl.BOOL_VEC3, (location, value) => gl.uniform3iv(location, value)],
+                [gl.BOOL_VEC4, (location, value) => gl.uniform4iv(location, value)],
+                [gl.FLOAT_MAT2, (location, value) => gl.uniformMatrix2fv(location, false, value)],
+                [gl.FLOAT_MAT3, (location, value) => gl.uniformMatrix3fv(location, false, value)],
+                [gl.FLOAT_MAT4, (location, value) => gl.uniformMatrix4fv(location, false, value)]
+            ]);
+
+            ShaderProgram._setters.set(gl, setters);
+        }
+
+        return setters.get(type);
     }
 }
 
 /**
- * Shader Program factory that provides easyt olls for creating Shader programs.
+ * Setters by GLSL type, per rendering context.
+ * @type {WeakMap<WebGLRenderingContext, Map<GLenum, function(WebGLUniformLocation, *)>>}
+ */
+ShaderProgram._setters = new WeakMap();
+
+/**
+ * Shader Program factory that provides easy tools for creating Shader programs from a shader library.
  */
 class ShaderProgramFactory {
     /**
      * Instantiates a new Shader program factory.
      * @param {WebGLRenderingContext} web_GL_rendering_context 
+     * @param {ShaderLibrary} [library] Registry the programs are created from, the built-in library by default.
      */
-    constructor(web_GL_rendering_context) {
+    constructor(web_GL_rendering_context, library = shader_library) {
         /**
          * @type {WebGLRenderingContext}
          */
@@ -138,52 +272,10 @@ class ShaderProgramFactory {
         this._fragment_shader = web_GL_rendering_context.FRAGMENT_SHADER;
 
         /**
-         * Vertex shader program source code.
-         * @type {String}
-         */
-        this._vertex_shader_source = `
-            attribute vec4 aVertexPosition;
-            attribute vec3 aVertexNormal;
-            attribute vec2 aTextureCoord;
-
-            uniform mat4 uNormalMatrix;
-            uniform mat4 uModelViewMatrix;
-            uniform mat4 uProjectionMatrix;
-
-            varying highp vec2 vTextureCoord;
-            varying highp vec3 vLighting;
-
-            void main(void) {
-                gl_Position = uProjectionMatrix * uModelViewMatrix * aVertexPosition;
-                vTextureCoord = aTextureCoord;
-
-                // Apply lighting effect
-
-                highp vec3 ambientLight = vec3(0.3, 0.3, 0.3);
-                highp vec3 directionalLightColor = vec3(1, 1, 1);
-                highp vec3 directionalVector = normalize(vec3(-1, 1, 1));
-
-                highp vec4 transformedNormal = uNormalMatrix * vec4(aVertexNormal, 1.0);
-
-                highp float directional = max(dot(transformedNormal.xyz, directionalVector), 0.0);
-                vLighting = ambientLight + (directionalLightColor * directional);
-            }`;
-
-        /**
-         * Fragment shader program source code.
-         * @type {String}
+         * Registry the programs are created from.
+         * @type {ShaderLibrary}
          */
-        this._fragment_shader_source = `
-            varying highp vec2 vTextureCoord;
-            varying highp vec3 vLighting;
-
-            uniform sampler2D uSampler;
-
-            void main(void) {
-                highp vec4 texelColor = texture2D(uSampler, vTextureCoord);
-
-                gl_FragColor = vec4(texelColor.rgb * vLighting, texelColor.a);
-            }`;
+        this._library = library;
     }
 
     /**
@@ -193,6 +285,14 @@ class ShaderProgramFactory {
         return this._web_GL_rendering_context;
     }
 
+    /**
+     * Registry the programs are created from.
+     * @type {ShaderLibrary}
+     */
+    get library() {
+        return this._library;
+    }
+
     /**
      * Returns a GLboolean indicating whether or not the last shader compilation was successful.
      * @type {GLboolean}
@@ -201,6 +301,14 @@ class ShaderProgramFactory {
         return this.web_GL_rendering_context.COMPILE_STATUS;
     }
 
+    /**
+     * Returns a GLboolean indicating whether or not the last link operation was successful.
+     * @type {GLenum}
+     */
+    get link_status() {
+        return this.web_GL_rendering_context.LINK_STATUS;
+    }
+
     /**
      * Creates a WebGL program object.
      * @returns {WebGLProgram} WebGL program NOT YET combined with two webGL shaders.
@@ -210,15 +318,45 @@ class ShaderProgramFactory {
     }
 
     /**
-     * Creates and initializes a WebGL program object.
+     * Creates and initializes a WebGL program object from a program in the library.
+     * @param {String} [name] Name of the program in the library.
+     * @param {Object<String, (String|Number|Boolean)>} [defines] Defines added to the program's own, `false` removes
+     * one.
      * @returns {WebGLProgram} Combination of two compiled WebGL shaders consisting of a vertex shader and a fragment
      * shader.
+     * @throws {ShaderCompileError} When one of the shaders fails to compile.
+     * @throws {ShaderLinkError} When the program fails to link.
      */
-    CreateShaderProgram() {
+    CreateShaderProgram(name = 'textured', defines = {}) {
+        const program = this.library.GetProgram(name);
+        const variant = Object.assign({}, program.defines, defines);
+
+        const vertex = this.library.Expand(program.vertex, variant, `${name}.vert`);
+        const fragment = this.library.Expand(program.fragment, variant, `${name}.frag`);
+
+        const vertex_shader = this.LoadVertexShader(vertex.source, `${name}.vert`, vertex.lines);
+        let fragment_shader;
+        try {
+            fragment_shader = this.LoadFragmentShader(fragment.source, `${name}.frag`, fragment.lines);
+        } catch (error) {
+            this.DeleteShader(vertex_shader);
+            throw error;
+        }
+
         const shader_program = this.CreateProgram();
-        this.AttachShader(shader_program, this.LoadVertexShader());
-        this.AttachShader(shader_program, this.LoadFragmentShader());
+        this.AttachShader(shader_program, vertex_shader);
+        this.AttachShader(shader_program, fragment_shader);
         this.LinkProgram(shader_program);
+
+        // The program keeps the shaders it was linked from, so they can be flagged for deletion right away.
+        this.DeleteShader(vertex_shader);
+        this.DeleteShader(fragment_shader);
+
+        if (!this.GetProgramParameter(shader_program, this.link_status)) {
+            const log = this.GetProgramInfoLog(shader_program);
+            this.DeleteProgram(shader_program);
+            throw new ShaderLinkError(name, log);
+        }
         return shader_program;
     }
 
@@ -280,36 +418,51 @@ class ShaderProgramFactory {
      * Creates a shader of the given type, uploads the source and compiles it.
      * @param {GLenum} type Shader type to load.
      * @param {String} source Shader program source code.
+     * @param {String} [label] Name of the shader in error messages.
+     * @param {{origin: String, line: Number}[]} [lines] Origin of each source line, to trace errors back to chunks.
      * @returns {WebGLShader} WebGL shader.
+     * @throws {ShaderCompileError} When the shader fails to compile.
      */
-    LoadShader(type, source) {
+    LoadShader(type, source, label = 'shader', lines = null) {
         const shader = this.CreateShader(type);
         this.ShaderSource(shader, source);
         this.CompileShader(shader);
         
         // See if it compiled successfully
         if (!this.GetShaderParameter(shader, this.compile_status)) {
-            alert('An error occurred compiling the shaders: ' + this.GetShaderInfoLog(shader));
+            const log = this.GetShaderInfoLog(shader);
             this.DeleteShader(shader);
-            return null;
+            throw new ShaderCompileError(
+                type === this._vertex_shader ? 'vertex' : 'fragment',
+                label,
+                log,
+                source,
+                lines
+            );
         }
         return shader;
     }
 
     /**
      * Creates a vertex shader, uploads the source and compiles it.
+     * @param {String} source Preprocessed vertex shader source code.
+     * @param {String} [label] Name of the shader in error messages.
+     * @param {{origin: String, line: Number}[]} [lines] Origin of each source line.
      * @returns {WebGLShader} Compiled vertex shader.
      */
-    LoadVertexShader() {
-        return this.LoadShader(this._vertex_shader, this._vertex_shader_source);
+    LoadVertexShader(source, label, lines) {
+        return this.LoadShader(this._vertex_shader, source, label, lines);
     }
 
     /**
      * Creates a fragment webGL shader, uploads the source and compiles it.
+     * @param {String} source Preprocessed fragment shader source code.
+     * @param {String} [label] Name of the shader in error messages.
+     * @param {{origin: String, line: Number}[]} [lines] Origin of each source line.
      * @returns {WebGLShader} Compiled fragment shader.
      */
-    LoadFragmentShader() {
-        return this.LoadShader(this._fragment_shader, this._fragment_shader_source);
+    LoadFragmentShader(source, label, lines) {
+        return this.LoadShader(this._fragment_shader, source, label, lines);
     }
 
     /**
@@ -328,18 +481,34 @@ class ShaderProgramFactory {
     LinkProgram(program) {
         this.web_GL_rendering_context.linkProgram(program);
     }
-}
 
-class FlatProgramData extends ShaderProgram {
-    constructor(gl, shader_program) {
-        super(gl, shader_program, 'aVertexColor');
+    /**
+     * Returns information about the given program.
+     * @param {WebGLProgram} program A WebGLProgram to get parameter information from.
+     * @param {GLenum} pname A GLenum specifying the information to query.
+     * @returns {*} The requested program information.
+     */
+    GetProgramParameter(program, pname) {
+        return this.web_GL_rendering_context.getProgramParameter(program, pname);
     }
-}
 
-class TexturedProgramData extends ShaderProgram {
-    constructor(gl, shader_program) {
-        super(gl, shader_program, 'aTextureCoord');
+    /**
+     * Returns the information log for the specified WebGLProgram object.
+     * @param {WebGLProgram} program A WebGLProgram to query.
+     * @returns {String} A DOMString that contains diagnostic messages, warning messages, and other information about
+     * the last linking or validation operation.
+     */
+    GetProgramInfoLog(program) {
+        return this.web_GL_rendering_context.getProgramInfoLog(program);
+    }
+
+    /**
+     * Deletes a given WebGLProgram object.
+     * @param {WebGLProgram} program A WebGLProgram object to delete.
+     */
+    DeleteProgram(program) {
+        this.web_GL_rendering_context.deleteProgram(program);
     }
 }
 
-export { initShaderProgram, ShaderProgram as ProgramData };
+export { initShaderProgram, ShaderProgram as ProgramData, ShaderProgramFactory };
@@ -0,0 +1,10 @@
+// Exponential squared fog.
+varying highp float vFogDepth;
+
+uniform vec3 uFogColor;
+uniform float uFogDensity;
+
+vec3 applyFog(vec3 color) {
+    float fogFactor = 1.0 - exp(-uFogDensity * uFogDensity * vFogDepth * vFogDepth);
+    return mix(color, uFogColor, clamp(fogFactor, 0.0, 1.0));
+}
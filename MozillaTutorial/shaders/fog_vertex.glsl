@@ -0,0 +1,2 @@
+// Distance to the camera, for fog.
+varying highp float vFogDepth;
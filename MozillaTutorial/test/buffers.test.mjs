@@ -0,0 +1,188 @@
+/**
+ * Tests for how BufferFactory lays out vertex attributes, against a context that records what is uploaded:
+ *
+ *     node --test test/*.test.mjs
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+
+import {
+    BufferFactory
+} from '../buffers.js';
+
+/**
+ * Stands in for a WebGLRenderingContext, keeping the data uploaded to each buffer.
+ * @param {String[]} [extensions] Names of the extensions the context supports.
+ * @returns {{gl: Object, uploads: Map<Object, ArrayBuffer|ArrayBufferView>, calls: Array[]}}
+ */
+function CreateContext(extensions = []) {
+    const uploads = new Map();
+    const calls = [];
+    const bound = {};
+
+    const gl = {
+        ARRAY_BUFFER: 'ARRAY_BUFFER',
+        ELEMENT_ARRAY_BUFFER: 'ELEMENT_ARRAY_BUFFER',
+        STATIC_DRAW: 'STATIC_DRAW',
+        FLOAT: 'FLOAT',
+        BYTE: 'BYTE',
+        UNSIGNED_BYTE: 'UNSIGNED_BYTE',
+        SHORT: 'SHORT',
+        UNSIGNED_SHORT: 'UNSIGNED_SHORT',
+        UNSIGNED_INT: 'UNSIGNED_INT',
+        getExtension: (name) => extensions.includes(name) ? {} : null,
+        createBuffer: () => ({}),
+        bindBuffer: (target, buffer) => {
+            bound[target] = buffer;
+            calls.push(['bindBuffer', target]);
+        },
+        bufferData: (target, data) => uploads.set(bound[target], data),
+        vertexAttribPointer: (...args) => calls.push(['vertexAttribPointer', ...args]),
+        enableVertexAttribArray: (location) => calls.push(['enableVertexAttribArray', location])
+    };
+
+    return { gl, uploads, calls };
+}
+
+/**
+ * Describes the attributes of a buffered object, leaving out the buffers.
+ * @param {BufferedObject} buffered_object Object to describe.
+ * @returns {Object<String, Object>}
+ */
+function Layout(buffered_object) {
+    const layout = {};
+    for (const [name, { size, type, normalized, stride, offset }] of buffered_object.attributes) {
+        layout[name] = { size, type, normalized, stride, offset };
+    }
+    return layout;
+}
+
+test('interleaved attributes share one buffer at aligned offsets', () => {
+    const { gl, uploads } = CreateContext();
+
+    const buffered_object = new BufferFactory(gl).BufferLayout({
+        attributes: {
+            aVertexPosition: { data: [0, 1, 2, 3, 4, 5], size: 3 },
+            aVertexColor: { data: new Uint8Array([10, 20, 30, 40, 50, 60, 70, 80]), size: 4, normalized: true },
+            aShade: { data: new Uint8Array([1, 2]), size: 1, normalized: true },
+            aTextureCoord: { data: [0.5, 0.25, 0.75, 1], size: 2 }
+        },
+        interleaved: true
+    });
+
+    assert.deepStrictEqual(Layout(buffered_object), {
+        aVertexPosition: { size: 3, type: 'FLOAT', normalized: false, stride: 28, offset: 0 },
+        aVertexColor: { size: 4, type: 'UNSIGNED_BYTE', normalized: true, stride: 28, offset: 12 },
+        aShade: { size: 1, type: 'UNSIGNED_BYTE', normalized: true, stride: 28, offset: 16 },
+        aTextureCoord: { size: 2, type: 'FLOAT', normalized: false, stride: 28, offset: 20 }
+    });
+
+    const buffers = new Set(Array.from(buffered_object.attributes.values(), (attribute) => attribute.buffer));
+    assert.strictEqual(buffers.size, 1);
+    assert.strictEqual(buffered_object.count, 2);
+    assert.strictEqual(buffered_object.index, null);
+
+    const bytes = uploads.get(buffered_object.position);
+    assert.strictEqual(bytes.byteLength, 56);
+
+    const floats = new Float32Array(bytes);
+    const unsigned_bytes = new Uint8Array(bytes);
+    assert.deepStrictEqual(Array.from(floats.subarray(0, 3)), [0, 1, 2]);
+    assert.deepStrictEqual(Array.from(unsigned_bytes.subarray(12, 17)), [10, 20, 30, 40, 1]);
+    assert.deepStrictEqual(Array.from(floats.subarray(5, 7)), [0.5, 0.25]);
+    assert.deepStrictEqual(Array.from(floats.subarray(7, 10)), [3, 4, 5]);
+    assert.deepStrictEqual(Array.from(unsigned_bytes.subarray(40, 45)), [50, 60, 70, 80, 2]);
+    assert.deepStrictEqual(Array.from(floats.subarray(12, 14)), [0.75, 1]);
+});
+
+test('separate attributes get a tightly packed buffer each', () => {
+    const { gl, uploads } = CreateContext();
+
+    const buffered_object = new BufferFactory(gl).BufferLayout({
+        attributes: {
+            aVertexPosition: { data: [-1, 1, 1, 1, -1, -1, 1, -1], size: 2 },
+            aVertexColor: { data: new Uint8Array(16), size: 4, type: 'UNSIGNED_BYTE', normalized: true }
+        },
+        index: [0, 1, 2, 2, 1, 3]
+    });
+
+    assert.deepStrictEqual(Layout(buffered_object), {
+        aVertexPosition: { size: 2, type: 'FLOAT', normalized: false, stride: 0, offset: 0 },
+        aVertexColor: { size: 4, type: 'UNSIGNED_BYTE', normalized: true, stride: 0, offset: 0 }
+    });
+
+    assert.notStrictEqual(buffered_object.position, buffered_object.fill);
+    assert.ok(uploads.get(buffered_object.position) instanceof Float32Array);
+    assert.ok(uploads.get(buffered_object.fill) instanceof Uint8Array);
+    assert.deepStrictEqual(Array.from(uploads.get(buffered_object.index)), [0, 1, 2, 2, 1, 3]);
+    assert.strictEqual(buffered_object.count, 6);
+});
+
+test('BufferLayout rejects attributes that do not line up', () => {
+    const buffer_factory = new BufferFactory(CreateContext().gl);
+
+    assert.throws(() => buffer_factory.BufferLayout({
+        attributes: {
+            aVertexPosition: { data: [0, 0, 0, 1, 1, 1], size: 3 },
+            aVertexColor: { data: [1, 1, 1, 1], size: 4 }
+        }
+    }), { message: 'Attribute "aVertexColor" has 1 vertices, "aVertexPosition" has 2' });
+
+    assert.throws(() => buffer_factory.BufferLayout({
+        attributes: { aVertexPosition: { data: [0, 0, 0, 1], size: 3 } }
+    }), { message: 'Attribute "aVertexPosition" has 4 values, not a multiple of 3' });
+
+    assert.throws(() => buffer_factory.BufferLayout({
+        attributes: { aVertexPosition: { data: [0, 0, 0], size: 3, type: 'INT' } }
+    }), { message: 'Attribute "aVertexPosition" has unsupported type INT' });
+
+    assert.throws(() => buffer_factory.BufferLayout({
+        attributes: { aVertexPosition: { data: [0, 0, 0, 0, 0], size: 5 } }
+    }), { message: 'Attribute "aVertexPosition" must have 1 to 4 components, not 5' });
+});
+
+test('Bind points the program attributes at the buffers by name', () => {
+    const { gl, calls } = CreateContext();
+
+    const buffered_object = new BufferFactory(gl).BufferLayout({
+        attributes: {
+            aVertexPosition: { data: [0, 0, 0, 1, 1, 1], size: 3 },
+            aVertexNormal: { data: [0, 1, 0, 0, 1, 0], size: 3 }
+        },
+        interleaved: true
+    });
+    calls.length = 0;
+
+    const enabled = buffered_object.Bind({
+        attributes: new Map([
+            ['aVertexPosition', { location: 2 }],
+            ['aTextureCoord', { location: 0 }]
+        ])
+    });
+
+    assert.deepStrictEqual(Array.from(enabled), [2]);
+    assert.deepStrictEqual(calls, [
+        ['bindBuffer', 'ARRAY_BUFFER'],
+        ['vertexAttribPointer', 2, 3, 'FLOAT', false, 24, 0],
+        ['enableVertexAttribArray', 2]
+    ]);
+});
+
+test('indices past 65535 are stored as UNSIGNED_INT when the context supports it', () => {
+    const attributes = { aVertexPosition: { data: new Float32Array(70000 * 3), size: 3 } };
+
+    const { gl, uploads } = CreateContext();
+    const short_indexed = new BufferFactory(gl).BufferLayout({ attributes, index: [0, 1, 65535] });
+    assert.strictEqual(short_indexed.index_type, 'UNSIGNED_SHORT');
+    assert.ok(uploads.get(short_indexed.index) instanceof Uint16Array);
+
+    assert.throws(() => new BufferFactory(gl).BufferLayout({ attributes, index: [0, 1, 69999] }), {
+        message: 'Index 69999 does not fit UNSIGNED_SHORT and OES_element_index_uint is not supported'
+    });
+
+    const context = CreateContext(['OES_element_index_uint']);
+    const int_indexed = new BufferFactory(context.gl).BufferLayout({ attributes, index: [0, 1, 69999] });
+    assert.strictEqual(int_indexed.index_type, 'UNSIGNED_INT');
+    assert.deepStrictEqual(context.uploads.get(int_indexed.index), new Uint32Array([0, 1, 69999]));
+});
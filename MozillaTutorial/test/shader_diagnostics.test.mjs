@@ -0,0 +1,138 @@
+/**
+ * Tests for mapping driver messages back to the chunks they were written in, without a WebGL context:
+ *
+ *     node --test test/*.test.mjs
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+
+import {
+    ShaderLibrary
+} from '../shader_library.js';
+
+import {
+    ParseInfoLog,
+    CodeFrame,
+    ShaderCompileError,
+    ShaderLinkError
+} from '../shader_diagnostics.js';
+
+/**
+ * Builds a small library with a nested include.
+ * @returns {ShaderLibrary}
+ */
+function CreateLibrary() {
+    return new ShaderLibrary()
+        .RegisterChunk('outer', 'float outer;\n#include <inner>\nfloat after_inner;')
+        .RegisterChunk('inner', 'float inner_a;\nfloat inner_b;');
+}
+
+test('Expand maps every line to where it was written', () => {
+    const { source, lines } = CreateLibrary().Expand('void a();\n#include <outer>\nvoid b();', { USE_A: true }, 'main.vert');
+
+    assert.deepStrictEqual(source.split('\n'), [
+        '#define USE_A',
+        'void a();',
+        'float outer;',
+        'float inner_a;',
+        'float inner_b;',
+        'float after_inner;',
+        'void b();'
+    ]);
+    assert.deepStrictEqual(lines, [
+        { origin: '#define', line: 1 },
+        { origin: 'main.vert', line: 1 },
+        { origin: 'outer', line: 1 },
+        { origin: 'inner', line: 1 },
+        { origin: 'inner', line: 2 },
+        { origin: 'outer', line: 3 },
+        { origin: 'main.vert', line: 3 }
+    ]);
+});
+
+test('Expand keeps #version first and leaves out false defines', () => {
+    const { source, lines } = new ShaderLibrary().Expand('\n#version 100\nvoid main() {}', {
+        A: 1,
+        B: false,
+        C: true
+    });
+
+    assert.deepStrictEqual(source.split('\n'), ['#version 100', '#define A 1', '#define C', '', 'void main() {}']);
+    assert.deepStrictEqual(lines[0], { origin: 'source', line: 2 });
+    assert.deepStrictEqual(lines[3], { origin: 'source', line: 1 });
+    assert.deepStrictEqual(lines[4], { origin: 'source', line: 3 });
+});
+
+test('Expand reports unknown and self including chunks', () => {
+    assert.throws(() => new ShaderLibrary().Expand('\n#include <missing>', {}, 'main.frag'), {
+        message: 'Unknown shader chunk "missing" included from main.frag:2'
+    });
+    assert.throws(() => new ShaderLibrary().RegisterChunk('loop', '#include <loop>').Expand('#include <loop>'), {
+        message: 'Shader chunk "loop" includes itself: loop -> loop'
+    });
+});
+
+test('ParseInfoLog reads ANGLE, NVIDIA and plain messages', () => {
+    const diagnostics = ParseInfoLog([
+        "ERROR: 0:4: 'inner_b' : redefinition",
+        '0(6) : warning C7022: unrecognized profile specifier',
+        'error: varying vColor not written',
+        'ERROR: 1 compilation errors.  No code generated.',
+        '\0'
+    ].join('\n'));
+
+    assert.deepStrictEqual(diagnostics, [
+        { severity: 'error', line: 4, message: "'inner_b' : redefinition", origin: null, origin_line: null },
+        { severity: 'warning', line: 6, message: 'unrecognized profile specifier', origin: null, origin_line: null },
+        { severity: 'error', line: null, message: 'varying vColor not written', origin: null, origin_line: null }
+    ]);
+});
+
+test('ParseInfoLog traces lines back to their chunk', () => {
+    const { lines } = CreateLibrary().Expand('void a();\n#include <outer>\nvoid b();', { USE_A: true }, 'main.vert');
+
+    const [inner, main, past_end] = ParseInfoLog([
+        "ERROR: 0:5: 'inner_b' : redefinition",
+        "ERROR: 0:7: 'b' : syntax error",
+        "ERROR: 0:40: 'x' : syntax error"
+    ].join('\n'), lines);
+
+    assert.strictEqual(inner.origin, 'inner');
+    assert.strictEqual(inner.origin_line, 2);
+    assert.strictEqual(main.origin, 'main.vert');
+    assert.strictEqual(main.origin_line, 3);
+    assert.strictEqual(past_end.origin, null);
+    assert.strictEqual(past_end.origin_line, null);
+});
+
+test('CodeFrame marks the line and labels the lines with their origin', () => {
+    const { source, lines } = CreateLibrary().Expand('void a();\n#include <outer>\nvoid b();', {}, 'main.vert');
+
+    assert.strictEqual(CodeFrame(source, 3, lines, 1), [
+        '  outer:1 | float outer;',
+        '> inner:1 | float inner_a;',
+        '  inner:2 | float inner_b;'
+    ].join('\n'));
+    assert.strictEqual(CodeFrame(source, 1, null, 1), '> 1 | void a();\n  2 | float outer;');
+});
+
+test('ShaderCompileError carries the parsed log and a located message', () => {
+    const { source, lines } = CreateLibrary().Expand('void a();\n#include <outer>', {}, 'main.vert');
+    const error = new ShaderCompileError('vertex', 'main.vert', "ERROR: 0:4: 'inner_b' : redefinition", source, lines);
+
+    assert.ok(error instanceof Error);
+    assert.strictEqual(error.name, 'ShaderCompileError');
+    assert.strictEqual(error.stage, 'vertex');
+    assert.strictEqual(error.diagnostics.length, 1);
+    assert.strictEqual(error.lines, lines);
+    assert.match(error.message, /^Failed to compile vertex shader main\.vert:\n\nerror at inner:2: 'inner_b' : redefinition\n/);
+    assert.match(error.message, /> inner:2 \| float inner_b;/);
+});
+
+test('ShaderLinkError lists the link messages', () => {
+    const error = new ShaderLinkError('flat', 'error: varying vColor not written\n');
+
+    assert.strictEqual(error.name, 'ShaderLinkError');
+    assert.strictEqual(error.message, 'Failed to link shader program flat:\n\nerror: varying vColor not written');
+});
@@ -0,0 +1,140 @@
+/**
+ * Tests for the attribute and uniform reflection of ShaderProgram, against a context that reports a fixed program:
+ *
+ *     node --test test/*.test.mjs
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+
+import {
+    ProgramData
+} from '../shaders.js';
+
+/**
+ * GLenums of the GLSL types, as WebGL defines them.
+ * @type {Object<String, GLenum>}
+ */
+const types = {
+    INT: 0x1404, UNSIGNED_INT: 0x1405, FLOAT: 0x1406,
+    FLOAT_VEC2: 0x8B50, FLOAT_VEC3: 0x8B51, FLOAT_VEC4: 0x8B52,
+    INT_VEC2: 0x8B53, INT_VEC3: 0x8B54, INT_VEC4: 0x8B55,
+    BOOL: 0x8B56, BOOL_VEC2: 0x8B57, BOOL_VEC3: 0x8B58, BOOL_VEC4: 0x8B59,
+    FLOAT_MAT2: 0x8B5A, FLOAT_MAT3: 0x8B5B, FLOAT_MAT4: 0x8B5C,
+    SAMPLER_2D: 0x8B5E, SAMPLER_CUBE: 0x8B60
+};
+
+/**
+ * Stands in for a WebGLRenderingContext whose program has the given active attributes and uniforms, recording the
+ * `uniform*` calls.
+ * @param {{name: String, type: String, size: Number}[]} attributes Active attributes by type name, located in order.
+ * @param {{name: String, type: String, size: Number}[]} uniforms Active uniforms by type name.
+ * @returns {{gl: Object, calls: Array[]}}
+ */
+function CreateContext(attributes, uniforms) {
+    const calls = [];
+    const info = ({ name, type, size }) => ({ name, type: types[type], size });
+
+    const gl = {
+        ACTIVE_ATTRIBUTES: 'ACTIVE_ATTRIBUTES',
+        ACTIVE_UNIFORMS: 'ACTIVE_UNIFORMS',
+        getProgramParameter: (program, pname) => pname === 'ACTIVE_ATTRIBUTES' ? attributes.length : uniforms.length,
+        getActiveAttrib: (program, index) => info(attributes[index]),
+        getActiveUniform: (program, index) => info(uniforms[index]),
+        getAttribLocation: (program, name) => attributes.findIndex((attribute) => attribute.name === name),
+        getUniformLocation: (program, name) => ({ name })
+    };
+
+    Object.assign(gl, types);
+
+    for (const setter of ['uniform1f', 'uniform1fv', 'uniform2fv', 'uniform3fv', 'uniform4fv', 'uniform1i',
+        'uniform1iv', 'uniform2iv', 'uniform3iv', 'uniform4iv', 'uniformMatrix2fv', 'uniformMatrix3fv',
+        'uniformMatrix4fv']) {
+        gl[setter] = (location, ...args) => calls.push([setter, location.name, ...args]);
+    }
+
+    return { gl, calls };
+}
+
+test('reflects attributes and uniforms, arrays without their [0] suffix', () => {
+    const { gl } = CreateContext(
+        [{ name: 'aVertexPosition', type: 'FLOAT_VEC4', size: 1 }, { name: 'aTextureCoord', type: 'FLOAT_VEC2', size: 1 }],
+        [{ name: 'uSampler', type: 'SAMPLER_2D', size: 1 }, { name: 'uWeights[0]', type: 'FLOAT', size: 3 }]
+    );
+    const program = {};
+
+    const program_data = new ProgramData(gl, program);
+
+    assert.strictEqual(program_data.program, program);
+    assert.strictEqual(program_data.web_GL_rendering_context, gl);
+    assert.deepStrictEqual(Array.from(program_data.attributes), [
+        ['aVertexPosition', { location: 0, type: gl.FLOAT_VEC4, size: 1 }],
+        ['aTextureCoord', { location: 1, type: gl.FLOAT_VEC2, size: 1 }]
+    ]);
+    assert.deepStrictEqual(Array.from(program_data.uniforms.keys()), ['uSampler', 'uWeights']);
+    assert.deepStrictEqual(program_data.uniforms.get('uWeights'), { location: { name: 'uWeights[0]' }, type: gl.FLOAT, size: 3 });
+
+    assert.ok(program_data.HasAttribute('aTextureCoord'));
+    assert.ok(!program_data.HasAttribute('aVertexColor'));
+    assert.ok(program_data.HasUniform('uWeights'));
+    assert.ok(!program_data.HasUniform('uWeights[0]'));
+    assert.strictEqual(program_data.GetAttribLocation('aTextureCoord'), 1);
+    assert.strictEqual(program_data.GetAttribLocation('aVertexColor'), -1);
+});
+
+test('SetUniform picks the uniform* call matching the GLSL type', () => {
+    const { gl, calls } = CreateContext([], [
+        { name: 'uTime', type: 'FLOAT', size: 1 },
+        { name: 'uWeights[0]', type: 'FLOAT', size: 2 },
+        { name: 'uColor', type: 'FLOAT_VEC3', size: 1 },
+        { name: 'uSampler', type: 'SAMPLER_2D', size: 1 },
+        { name: 'uEnabled', type: 'BOOL', size: 1 },
+        { name: 'uOffsets[0]', type: 'INT', size: 2 },
+        { name: 'uCell', type: 'INT_VEC2', size: 1 },
+        { name: 'uNormalMatrix', type: 'FLOAT_MAT3', size: 1 },
+        { name: 'uProjectionMatrix', type: 'FLOAT_MAT4', size: 1 }
+    ]);
+    const program_data = new ProgramData(gl, {});
+    const matrix = new Float32Array(16);
+
+    program_data.SetUniforms({
+        uTime: 0.5,
+        uWeights: [1, 2],
+        uColor: [1, 0, 0],
+        uSampler: 0,
+        uEnabled: true,
+        uOffsets: new Int32Array([3, 4]),
+        uCell: [5, 6],
+        uNormalMatrix: [1, 0, 0, 0, 1, 0, 0, 0, 1],
+        uProjectionMatrix: matrix
+    });
+
+    assert.deepStrictEqual(calls, [
+        ['uniform1f', 'uTime', 0.5],
+        ['uniform1fv', 'uWeights[0]', [1, 2]],
+        ['uniform3fv', 'uColor', [1, 0, 0]],
+        ['uniform1i', 'uSampler', 0],
+        ['uniform1i', 'uEnabled', 1],
+        ['uniform1iv', 'uOffsets[0]', new Int32Array([3, 4])],
+        ['uniform2iv', 'uCell', [5, 6]],
+        ['uniformMatrix3fv', 'uNormalMatrix', false, [1, 0, 0, 0, 1, 0, 0, 0, 1]],
+        ['uniformMatrix4fv', 'uProjectionMatrix', false, matrix]
+    ]);
+});
+
+test('unknown and unsupported uniforms are skipped with a single warning each', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const { gl, calls } = CreateContext([], [{ name: 'uCount', type: 'UNSIGNED_INT', size: 1 }]);
+    const program_data = new ProgramData(gl, {});
+
+    for (let frame = 0; frame < 3; frame++) {
+        program_data.SetUniform('uMissing', 1);
+        program_data.SetUniform('uCount', 1);
+    }
+
+    assert.deepStrictEqual(calls, []);
+    assert.deepStrictEqual(warn.mock.calls.map((call) => call.arguments), [
+        ['ShaderProgram: Unknown uniform "uMissing".'],
+        ['ShaderProgram: Uniform "uCount" has unsupported type 0x1405.']
+    ]);
+});
@@ -0,0 +1,324 @@
+/**
+ * Positional ambient sounds for APP.Player, from the `audio` section of the
+ * app.json project:
+ *
+ *	"audio": {
+ *		"volume": 0.8,
+ *		"sounds": [
+ *			{ "object": "Fire", "source": "crackle", "light": "Flame_light", "intensity": [ [ 0, 0.2 ], [ 2, 1 ] ] },
+ *			{ "object": "Water", "source": "waves", "daylight": [ 1, 0.6 ] }
+ *		]
+ *	}
+ *
+ * A sound plays a file (`url`) or one of the generated loops in
+ * APP.AmbientAudio.GENERATORS (`source`). Its volume falls off with distance
+ * and is scaled by the intensity of a light through an intensity curve, as in
+ * APP.LightFlicker, and by a [ day, night ] pair following the time of day.
+ *
+ * Browsers only allow audio after a user gesture, so nothing is created until
+ * the player calls start() from one.
+ */
+
+APP.AmbientAudio = function ( parameters ) {
+
+	parameters = parameters || {};
+
+	this.sounds = parameters.sounds !== undefined ? parameters.sounds : [];
+	this.seed = parameters.seed !== undefined ? parameters.seed : 1;
+
+	this.listener = null;
+	this.entries = [];
+
+	this.scene = null;
+	this.camera = null;
+	this.timeOfDay = null;
+	this.manager = undefined;
+
+	this.started = false;
+	this.suspended = false;
+
+	this._volume = THREE.Math.clamp( parameters.volume !== undefined ? parameters.volume : 1, 0, 1 );
+	this._muted = parameters.muted === true;
+
+};
+
+Object.defineProperties( APP.AmbientAudio.prototype, {
+
+	volume: {
+
+		get: function () {
+
+			return this._volume;
+
+		},
+
+		set: function ( value ) {
+
+			this._volume = THREE.Math.clamp( value, 0, 1 );
+			this.updateMasterVolume();
+
+		}
+
+	},
+
+	muted: {
+
+		get: function () {
+
+			return this._muted;
+
+		},
+
+		set: function ( value ) {
+
+			this._muted = value;
+			this.updateMasterVolume();
+
+		}
+
+	}
+
+} );
+
+Object.assign( APP.AmbientAudio.prototype, {
+
+	attach: function ( scene, camera, timeOfDay, manager ) {
+
+		this.scene = scene;
+		this.timeOfDay = timeOfDay;
+		this.manager = manager;
+
+		this.setCamera( camera );
+
+	},
+
+	setCamera: function ( camera ) {
+
+		if ( this.listener !== null && this.camera !== null ) this.camera.remove( this.listener );
+
+		this.camera = camera;
+
+		if ( this.listener !== null ) camera.add( this.listener );
+
+	},
+
+	// Call from a user gesture, later calls only resume
+
+	start: function () {
+
+		if ( this.started ) {
+
+			this.resume();
+			return;
+
+		}
+
+		if ( this.sounds.length === 0 || this.scene === null ) return;
+
+		this.started = true;
+
+		this.listener = new THREE.AudioListener();
+		this.camera.add( this.listener );
+		this.updateMasterVolume();
+
+		var random = APP.Random.createRandom( this.seed );
+
+		for ( var i = 0; i < this.sounds.length; i ++ ) {
+
+			var entry = this.createEntry( this.sounds[ i ], random );
+
+			if ( entry !== null ) this.entries.push( entry );
+
+		}
+
+		this.resume();
+
+	},
+
+	createEntry: function ( parameters, random ) {
+
+		var object = this.scene.getObjectByName( parameters.object, true );
+
+		if ( object === undefined ) {
+
+			console.warn( 'APP.AmbientAudio: Object not found.', parameters.object );
+			return null;
+
+		}
+
+		var light = null;
+
+		if ( parameters.light !== undefined ) {
+
+			light = this.scene.getObjectByName( parameters.light, true ) || null;
+
+			if ( light === null ) console.warn( 'APP.AmbientAudio: Light not found.', parameters.light );
+
+		}
+
+		var sound = new THREE.PositionalAudio( this.listener );
+
+		sound.setRefDistance( parameters.refDistance !== undefined ? parameters.refDistance : 2 );
+		sound.setRolloffFactor( parameters.rolloffFactor !== undefined ? parameters.rolloffFactor : 1 );
+		sound.setMaxDistance( parameters.maxDistance !== undefined ? parameters.maxDistance : 100 );
+		sound.setDistanceModel( parameters.distanceModel !== undefined ? parameters.distanceModel : 'inverse' );
+		sound.setLoop( parameters.loop !== undefined ? parameters.loop : true );
+		sound.setVolume( 0 );
+
+		if ( parameters.offset !== undefined ) sound.position.fromArray( parameters.offset );
+
+		object.add( sound );
+
+		if ( parameters.url !== undefined ) {
+
+			new THREE.AudioLoader( this.manager ).load( parameters.url, function ( buffer ) {
+
+				sound.setBuffer( buffer );
+				sound.play();
+
+			} );
+
+		} else if ( APP.AmbientAudio.GENERATORS[ parameters.source ] !== undefined ) {
+
+			sound.setBuffer( APP.AmbientAudio.GENERATORS[ parameters.source ]( sound.context, random ) );
+			sound.play();
+
+		} else {
+
+			console.warn( 'APP.AmbientAudio: Sound without url or known source.', parameters.source );
+
+		}
+
+		return {
+			sound: sound,
+			light: light,
+			volume: parameters.volume !== undefined ? parameters.volume : 1,
+			intensity: parameters.intensity !== undefined ? parameters.intensity : null,
+			daylight: parameters.daylight !== undefined ? parameters.daylight : null
+		};
+
+	},
+
+	suspend: function () {
+
+		this.suspended = true;
+
+		if ( this.listener !== null ) this.listener.context.suspend();
+
+	},
+
+	resume: function () {
+
+		this.suspended = false;
+
+		if ( this.listener !== null ) this.listener.context.resume();
+
+	},
+
+	updateMasterVolume: function () {
+
+		if ( this.listener !== null ) this.listener.setMasterVolume( this._muted ? 0 : this._volume );
+
+	},
+
+	update: function () {
+
+		for ( var i = 0; i < this.entries.length; i ++ ) {
+
+			var entry = this.entries[ i ];
+			var volume = entry.volume;
+
+			if ( entry.light !== null ) {
+
+				volume *= entry.intensity !== null ? APP.Random.sample( entry.intensity, entry.light.intensity ) : entry.light.intensity;
+
+			}
+
+			if ( entry.daylight !== null && this.timeOfDay !== null ) {
+
+				volume *= THREE.Math.lerp( entry.daylight[ 1 ], entry.daylight[ 0 ], this.timeOfDay.daylight );
+
+			}
+
+			entry.sound.setVolume( volume );
+
+		}
+
+	}
+
+} );
+
+// Generated loops, seamless and a few seconds long
+
+APP.AmbientAudio.GENERATORS = {
+
+	// Sparse pops with short noisy decays over a faint hiss
+
+	crackle: function ( context, random ) {
+
+		var rate = context.sampleRate;
+		var buffer = context.createBuffer( 1, rate * 4, rate );
+		var data = buffer.getChannelData( 0 );
+		var hiss = 0;
+
+		for ( var i = 0; i < data.length; i ++ ) {
+
+			hiss += ( ( random() * 2 - 1 ) - hiss ) * 0.1;
+			data[ i ] = hiss * 0.05;
+
+		}
+
+		for ( var pops = 0; pops < 48; pops ++ ) {
+
+			var start = Math.floor( random() * data.length );
+			var amplitude = 0.2 + random() * 0.8;
+			var decay = rate * ( 0.002 + random() * 0.008 );
+
+			for ( var j = 0; j < decay * 5; j ++ ) {
+
+				data[ ( start + j ) % data.length ] += ( random() * 2 - 1 ) * amplitude * Math.exp( - j / decay );
+
+			}
+
+		}
+
+		return buffer;
+
+	},
+
+	// Brown noise swelling twice per loop, the end crossfaded into the start
+
+	waves: function ( context, random ) {
+
+		var rate = context.sampleRate;
+		var length = rate * 8;
+		var fade = rate * 0.5;
+		var buffer = context.createBuffer( 1, length, rate );
+		var data = buffer.getChannelData( 0 );
+		var noise = new Float32Array( length + fade );
+		var brown = 0;
+
+		for ( var i = 0; i < noise.length; i ++ ) {
+
+			brown = ( brown + 0.02 * ( random() * 2 - 1 ) ) * 0.998;
+			noise[ i ] = brown * 2;
+
+		}
+
+		for ( var k = 0; k < length; k ++ ) {
+
+			var sample = noise[ k ];
+
+			if ( k < fade ) sample = THREE.Math.lerp( noise[ k + length ], sample, k / fade );
+
+			var swell = 0.5 - 0.5 * Math.cos( 2 * Math.PI * 2 * k / length );
+
+			data[ k ] = sample * ( 0.3 + 0.7 * swell );
+
+		}
+
+		return buffer;
+
+	}
+
+};
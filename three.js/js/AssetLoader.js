@@ -0,0 +1,179 @@
+/**
+ * Tracks the images APP.Player loads, through one THREE.LoadingManager shared
+ * by the scene loader and the texture loaders.
+ *
+ * Dispatches `progress` ({ url, loaded, total }) and `error` ({ url }) while
+ * loading and `ready` once everything has settled. Images that failed are
+ * replaced with a checkerboard so the scene still renders: scene images once
+ * loading has settled, textures the player loads itself through loadTexture()
+ * as soon as they fail.
+ *
+ * Once ready, later loads through the manager (ambient audio, started by the
+ * first user gesture) no longer dispatch `progress` or settle again; they
+ * still report `error`.
+ */
+
+APP.AssetLoader = function () {
+
+	var scope = this;
+
+	this.manager = new THREE.LoadingManager();
+
+	this.ready = false;
+	this.pending = false;
+	this.finished = false;
+	this.loaded = 0;
+	this.total = 0;
+
+	this.scene = null;
+	this.failed = [];
+
+	this.manager.onStart = function () {
+
+		if ( scope.ready ) return;
+
+		scope.pending = true;
+
+	};
+
+	this.manager.onProgress = function ( url, loaded, total ) {
+
+		if ( scope.ready ) return;
+
+		scope.loaded = loaded;
+		scope.total = total;
+
+		scope.dispatchEvent( { type: 'progress', url: url, loaded: loaded, total: total } );
+
+	};
+
+	this.manager.onError = function ( url ) {
+
+		console.warn( 'APP.AssetLoader: Failed to load, using a checkerboard instead.', url );
+
+		scope.failed.push( new URL( url, document.baseURI ).href );
+		scope.dispatchEvent( { type: 'error', url: url } );
+
+	};
+
+	this.manager.onLoad = function () {
+
+		if ( scope.ready ) return;
+
+		scope.pending = false;
+
+		if ( scope.finished ) scope.resolve();
+
+	};
+
+};
+
+Object.assign( APP.AssetLoader.prototype, THREE.EventDispatcher.prototype, {
+
+	// Called by the player once it has started all of its loads
+
+	finish: function ( scene ) {
+
+		this.scene = scene;
+		this.finished = true;
+
+		if ( this.pending === false ) this.resolve();
+
+	},
+
+	resolve: function () {
+
+		this.substitute();
+
+		if ( this.ready ) return;
+
+		this.ready = true;
+		this.dispatchEvent( { type: 'ready' } );
+
+	},
+
+	substitute: function () {
+
+		if ( this.failed.length === 0 || this.scene === null ) return;
+
+		var failed = this.failed;
+		var checkerboard = APP.AssetLoader.getCheckerboard();
+
+		function replace( value ) {
+
+			if ( value === null || value === undefined || value.isTexture !== true ) return;
+
+			if ( value.image !== undefined && failed.indexOf( value.image.src ) !== - 1 ) {
+
+				value.image = checkerboard;
+				value.needsUpdate = true;
+
+			}
+
+		}
+
+		this.scene.traverse( function ( object ) {
+
+			if ( object.material === undefined ) return;
+
+			var materials = Array.isArray( object.material ) ? object.material : [ object.material ];
+
+			for ( var i = 0; i < materials.length; i ++ ) {
+
+				for ( var key in materials[ i ] ) replace( materials[ i ][ key ] );
+
+				for ( var name in materials[ i ].uniforms ) replace( materials[ i ].uniforms[ name ].value );
+
+			}
+
+		} );
+
+	}
+
+} );
+
+// A TextureLoader only sets the image on success, so a failed texture has none
+// for substitute() to find
+
+APP.AssetLoader.loadTexture = function ( url, manager, onLoad ) {
+
+	var texture = new THREE.TextureLoader( manager ).load( url, onLoad, undefined, function () {
+
+		texture.image = APP.AssetLoader.getCheckerboard();
+		texture.needsUpdate = true;
+
+	} );
+
+	return texture;
+
+};
+
+APP.AssetLoader.checkerboard = null;
+
+APP.AssetLoader.getCheckerboard = function () {
+
+	if ( APP.AssetLoader.checkerboard === null ) {
+
+		var canvas = document.createElement( 'canvas' );
+		canvas.width = canvas.height = 64;
+
+		var context = canvas.getContext( '2d' );
+
+		for ( var y = 0; y < 8; y ++ ) {
+
+			for ( var x = 0; x < 8; x ++ ) {
+
+				context.fillStyle = ( x + y ) % 2 === 0 ? '#ff00ff' : '#000000';
+				context.fillRect( x * 8, y * 8, 8, 8 );
+
+			}
+
+		}
+
+		APP.AssetLoader.checkerboard = canvas;
+
+	}
+
+	return APP.AssetLoader.checkerboard;
+
+};
@@ -0,0 +1,177 @@
+/**
+ * Named atmosphere presets for THREE.Sky, declared in the `atmosphere` section
+ * of the app.json project and blended smoothly when switching between them.
+ *
+ * A preset sets the sky uniforms and optionally the fog color, the day and
+ * night fog densities and the sun (inclination and azimuth) of the time of
+ * day, so the sky, water and scene lights stay in agreement. The preset
+ * applied at load leaves the inclination alone, so the start time set in the
+ * `timeOfDay` section still holds, but places the sun at its azimuth.
+ */
+
+APP.Atmosphere = function ( sky, timeOfDay, fog, parameters ) {
+
+	parameters = parameters || {};
+
+	this.sky = sky;
+	this.timeOfDay = timeOfDay;
+	this.fog = fog !== undefined ? fog : null;
+
+	this.presets = parameters.presets !== undefined ? parameters.presets : {};
+	this.duration = parameters.duration !== undefined ? parameters.duration : 4; // seconds
+
+	this.preset = null;
+
+	this.from = null;
+	this.to = null;
+	this.elapsed = 0;
+	this.blendDuration = 0;
+	this.blend = 1;
+
+	this.setPreset( parameters.preset !== undefined ? parameters.preset : Object.keys( this.presets )[ 0 ], 0, false );
+
+};
+
+APP.Atmosphere.UNIFORMS = [ 'turbidity', 'rayleigh', 'luminance', 'mieCoefficient', 'mieDirectionalG' ];
+
+APP.Atmosphere.DEFAULT = {
+	turbidity: 10,
+	rayleigh: 2,
+	luminance: 1,
+	mieCoefficient: 0.005,
+	mieDirectionalG: 0.8
+};
+
+Object.assign( APP.Atmosphere.prototype, {
+
+	// The current state, in the same shape as a preset
+
+	capture: function () {
+
+		var state = {};
+		var uniforms = this.sky.material.uniforms;
+
+		for ( var i = 0; i < APP.Atmosphere.UNIFORMS.length; i ++ ) {
+
+			var key = APP.Atmosphere.UNIFORMS[ i ];
+
+			state[ key ] = uniforms[ key ].value;
+
+		}
+
+		state.inclination = this.timeOfDay.getInclination();
+		state.azimuth = this.timeOfDay.azimuth;
+		state.fogDensity = Object.assign( {}, this.timeOfDay.fogDensity );
+
+		if ( this.fog !== null ) state.fogColor = this.fog.color.clone();
+
+		return state;
+
+	},
+
+	setPreset: function ( name, duration, moveSun ) {
+
+		var preset = this.presets[ name ];
+
+		if ( preset === undefined ) {
+
+			if ( name !== undefined ) console.warn( 'APP.Atmosphere: Preset not found.', name );
+
+			preset = {};
+
+		}
+
+		this.preset = name !== undefined ? name : null;
+
+		this.from = this.capture();
+		this.to = Object.assign( {}, APP.Atmosphere.DEFAULT, preset );
+
+		if ( this.to.fogColor !== undefined ) this.to.fogColor = new THREE.Color( this.to.fogColor );
+		if ( this.to.fogDensity !== undefined ) this.to.fogDensity = Object.assign( {}, this.from.fogDensity, this.to.fogDensity );
+
+		if ( moveSun === false ) delete this.to.inclination;
+
+		if ( this.to.inclination !== undefined ) {
+
+			// Inclination wraps every two units, take the short way round
+
+			var difference = this.to.inclination - this.from.inclination;
+
+			this.to.inclination = this.from.inclination + difference - 2 * Math.round( difference / 2 );
+
+		}
+
+		this.elapsed = 0;
+		this.blendDuration = duration !== undefined ? duration : this.duration;
+
+		this.apply( this.blendDuration > 0 ? 0 : 1 );
+
+	},
+
+	// Cycles through the presets in declaration order
+
+	next: function () {
+
+		var names = Object.keys( this.presets );
+
+		this.setPreset( names[ ( names.indexOf( this.preset ) + 1 ) % names.length ] );
+
+	},
+
+	update: function ( delta ) {
+
+		if ( this.blend === 1 ) return;
+
+		this.elapsed += delta / 1000;
+
+		this.apply( this.blendDuration > 0 ? THREE.Math.smoothstep( this.elapsed, 0, this.blendDuration ) : 1 );
+
+	},
+
+	apply: function ( blend ) {
+
+		var from = this.from, to = this.to;
+		var uniforms = this.sky.material.uniforms;
+		var lerp = THREE.Math.lerp;
+
+		this.blend = blend;
+
+		for ( var i = 0; i < APP.Atmosphere.UNIFORMS.length; i ++ ) {
+
+			var key = APP.Atmosphere.UNIFORMS[ i ];
+
+			uniforms[ key ].value = lerp( from[ key ], to[ key ], blend );
+
+		}
+
+		if ( to.azimuth !== undefined ) this.timeOfDay.azimuth = lerp( from.azimuth, to.azimuth, blend );
+
+		if ( to.fogDensity !== undefined ) {
+
+			this.timeOfDay.fogDensity.day = lerp( from.fogDensity.day, to.fogDensity.day, blend );
+			this.timeOfDay.fogDensity.night = lerp( from.fogDensity.night, to.fogDensity.night, blend );
+
+		}
+
+		// The time of day keeps running once the sun has been moved. Without an
+		// inclination the sun still follows the new azimuth and fog right away
+
+		if ( to.inclination !== undefined ) {
+
+			this.timeOfDay.setInclination( lerp( from.inclination, to.inclination, blend ) );
+
+		} else {
+
+			this.timeOfDay.apply();
+
+		}
+
+		if ( to.fogColor !== undefined && this.fog !== null ) {
+
+			this.fog.color.copy( from.fogColor ).lerp( to.fogColor, blend );
+
+		}
+
+	}
+
+} );
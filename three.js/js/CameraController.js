@@ -0,0 +1,266 @@
+/**
+ * Orbit and zoom camera controller for APP.Player.
+ *
+ * The camera circles a target point, optionally following a scene object.
+ * Dragging orbits, the wheel and pinching zoom between minDistance and
+ * maxDistance, and every change eases in with the damping rate (per second).
+ * Input arrives through the player's document event dispatch.
+ */
+
+APP.CameraController = function ( domElement, parameters ) {
+
+	parameters = parameters || {};
+
+	this.camera = null;
+	this.domElement = domElement;
+
+	this.target = new THREE.Vector3();
+	this.follow = null;
+
+	this.minDistance = parameters.minDistance !== undefined ? parameters.minDistance : 2;
+	this.maxDistance = parameters.maxDistance !== undefined ? parameters.maxDistance : 40;
+	this.minPolarAngle = parameters.minPolarAngle !== undefined ? parameters.minPolarAngle : 0.1;
+	this.maxPolarAngle = parameters.maxPolarAngle !== undefined ? parameters.maxPolarAngle : Math.PI / 2 - 0.05;
+
+	this.damping = parameters.damping !== undefined ? parameters.damping : 8;
+	this.rotateSpeed = parameters.rotateSpeed !== undefined ? parameters.rotateSpeed : 1;
+	this.zoomSpeed = parameters.zoomSpeed !== undefined ? parameters.zoomSpeed : 1;
+
+	this.autoRotate = parameters.autoRotate !== undefined ? parameters.autoRotate : false;
+	this.autoRotateSpeed = parameters.autoRotateSpeed !== undefined ? parameters.autoRotateSpeed : 0.06; // radians per second
+	this.autoRotateReverse = false;
+
+	this.enabled = true;
+
+	this.spherical = new THREE.Spherical();
+	this.goal = new THREE.Spherical();
+
+	var scope = this;
+
+	var pointer = new THREE.Vector2();
+	var pinchDistance = 0;
+	var dragging = false;
+
+	var offset = new THREE.Vector3();
+	var position = new THREE.Vector3();
+
+	this.setCamera = function ( value ) {
+
+		this.camera = value;
+
+		if ( value.parent !== null ) value.parent.updateWorldMatrix( true, false );
+		value.updateMatrixWorld();
+
+		this.updateTarget();
+
+		offset.setFromMatrixPosition( value.matrixWorld ).sub( this.target );
+
+		this.spherical.setFromVector3( offset );
+		this.clamp( this.spherical );
+		this.goal.copy( this.spherical );
+
+	};
+
+	this.updateTarget = function () {
+
+		if ( this.follow === null ) return;
+
+		this.follow.updateWorldMatrix( true, false );
+		this.target.setFromMatrixPosition( this.follow.matrixWorld );
+
+	};
+
+	this.clamp = function ( spherical ) {
+
+		spherical.radius = THREE.Math.clamp( spherical.radius, this.minDistance, this.maxDistance );
+		spherical.phi = THREE.Math.clamp( spherical.phi, this.minPolarAngle, this.maxPolarAngle );
+
+		return spherical;
+
+	};
+
+	// Zoom as a fraction between minDistance (0) and maxDistance (1)
+
+	this.getZoom = function () {
+
+		return ( this.goal.radius - this.minDistance ) / ( this.maxDistance - this.minDistance );
+
+	};
+
+	this.setZoom = function ( value ) {
+
+		this.goal.radius = THREE.Math.lerp( this.minDistance, this.maxDistance, THREE.Math.clamp( value, 0, 1 ) );
+
+	};
+
+	this.getPose = function () {
+
+		return { radius: this.goal.radius, phi: this.goal.phi, theta: this.goal.theta };
+
+	};
+
+	// Jumps to the pose without damping
+
+	this.setPose = function ( pose ) {
+
+		this.goal.set( pose.radius, pose.phi, pose.theta );
+		this.clamp( this.goal );
+		this.spherical.copy( this.goal );
+
+		this.update( 0 );
+
+	};
+
+	this.rotate = function ( theta, phi ) {
+
+		this.goal.theta += theta;
+		this.goal.phi += phi;
+		this.clamp( this.goal );
+
+	};
+
+	this.dolly = function ( scale ) {
+
+		this.goal.radius *= scale;
+		this.clamp( this.goal );
+
+	};
+
+	this.update = function ( delta ) {
+
+		if ( this.camera === null ) return;
+
+		if ( this.autoRotate ) {
+
+			this.goal.theta += ( this.autoRotateReverse ? - 1 : 1 ) * this.autoRotateSpeed * delta / 1000;
+
+		}
+
+		var k = delta > 0 ? 1 - Math.exp( - this.damping * delta / 1000 ) : 0;
+
+		this.spherical.radius += ( this.goal.radius - this.spherical.radius ) * k;
+		this.spherical.phi += ( this.goal.phi - this.spherical.phi ) * k;
+		this.spherical.theta += ( this.goal.theta - this.spherical.theta ) * k;
+
+		this.updateTarget();
+
+		position.setFromSpherical( this.spherical ).add( this.target );
+
+		if ( this.camera.parent !== null ) this.camera.parent.worldToLocal( position );
+
+		this.camera.position.copy( position );
+		this.camera.lookAt( this.target );
+
+	};
+
+	//
+
+	function isCanvas( event ) {
+
+		return scope.domElement === undefined || event.target === scope.domElement;
+
+	}
+
+	function getPinchDistance( event ) {
+
+		var dx = event.touches[ 0 ].pageX - event.touches[ 1 ].pageX;
+		var dy = event.touches[ 0 ].pageY - event.touches[ 1 ].pageY;
+
+		return Math.sqrt( dx * dx + dy * dy );
+
+	}
+
+	function drag( x, y ) {
+
+		var height = scope.domElement !== undefined ? scope.domElement.clientHeight || window.innerHeight : window.innerHeight;
+
+		scope.rotate(
+			- 2 * Math.PI * ( x - pointer.x ) / height * scope.rotateSpeed,
+			- 2 * Math.PI * ( y - pointer.y ) / height * scope.rotateSpeed
+		);
+
+		pointer.set( x, y );
+
+	}
+
+	this.onMouseDown = function ( event ) {
+
+		if ( ! this.enabled || ! isCanvas( event ) ) return;
+
+		dragging = true;
+		pointer.set( event.clientX, event.clientY );
+
+	};
+
+	this.onMouseMove = function ( event ) {
+
+		if ( ! dragging ) return;
+
+		drag( event.clientX, event.clientY );
+
+	};
+
+	this.onMouseUp = function () {
+
+		dragging = false;
+
+	};
+
+	this.onWheel = function ( event ) {
+
+		if ( ! this.enabled || ! isCanvas( event ) ) return;
+
+		this.dolly( Math.pow( 0.95, - Math.sign( event.deltaY ) * this.zoomSpeed ) );
+
+	};
+
+	this.onTouchStart = function ( event ) {
+
+		if ( ! this.enabled || ! isCanvas( event ) ) return;
+
+		dragging = event.touches.length === 1;
+
+		if ( event.touches.length === 1 ) {
+
+			pointer.set( event.touches[ 0 ].pageX, event.touches[ 0 ].pageY );
+
+		} else if ( event.touches.length === 2 ) {
+
+			pinchDistance = getPinchDistance( event );
+
+		}
+
+	};
+
+	this.onTouchMove = function ( event ) {
+
+		if ( ! this.enabled ) return;
+
+		if ( dragging && event.touches.length === 1 ) {
+
+			drag( event.touches[ 0 ].pageX, event.touches[ 0 ].pageY );
+
+		} else if ( pinchDistance > 0 && event.touches.length === 2 ) {
+
+			var distance = getPinchDistance( event );
+
+			this.dolly( Math.pow( pinchDistance / distance, this.zoomSpeed ) );
+
+			pinchDistance = distance;
+
+		}
+
+	};
+
+	this.onTouchEnd = function ( event ) {
+
+		if ( event.touches.length === 0 ) {
+
+			dragging = false;
+			pinchDistance = 0;
+
+		}
+
+	};
+
+};
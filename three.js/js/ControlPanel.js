@@ -0,0 +1,233 @@
+/**
+ * DOM controls for APP.Player, declared in the `controls` section of app.json.
+ *
+ * Each control targets a `property` path on the player, or on a scene object
+ * when `object` names one (by name or uuid):
+ *
+ *	{ "type": "button", "label": "Start/Stop Rotation", "property": "rotation.active" }
+ *	{ "type": "toggle", "label": "Huts", "object": "Hut_1", "property": "visible" }
+ *	{ "type": "slider", "label": "Speed:", "property": "rotation.speed", "min": 0, "max": 0.02, "step": 0.0002 }
+ *
+ * Buttons call the target when it is a function and flip it otherwise. An
+ * element already in the page with the control's `id` is bound instead of
+ * generating a new one.
+ */
+
+APP.ControlPanel = function ( player, scene ) {
+
+	this.player = player;
+	this.scene = scene;
+
+	this.dom = document.createElement( 'div' );
+	this.dom.className = 'controls';
+
+	this.controls = [];
+
+};
+
+Object.assign( APP.ControlPanel.prototype, {
+
+	load: function ( json ) {
+
+		if ( json === undefined ) return;
+
+		for ( var i = 0; i < json.length; i ++ ) {
+
+			var control = this.resolve( json[ i ] );
+
+			if ( control === undefined ) continue;
+
+			switch ( control.type ) {
+
+				case 'button':
+					this.addButton( control );
+					break;
+
+				case 'toggle':
+					this.addToggle( control );
+					break;
+
+				case 'slider':
+					this.addSlider( control );
+					break;
+
+				default:
+					console.warn( 'APP.ControlPanel: Control type not supported (', control.type, ')' );
+					continue;
+
+			}
+
+			this.controls.push( control );
+
+		}
+
+	},
+
+	resolve: function ( json ) {
+
+		var target = this.player;
+
+		if ( json.object !== undefined ) {
+
+			target = this.scene.getObjectByProperty( 'uuid', json.object, true ) || this.scene.getObjectByName( json.object, true );
+
+			if ( target === undefined ) {
+
+				console.warn( 'APP.ControlPanel: Control without object.', json.object );
+				return;
+
+			}
+
+		}
+
+		var path = json.property.split( '.' );
+		var key = path.pop();
+
+		for ( var i = 0; i < path.length; i ++ ) {
+
+			target = target[ path[ i ] ];
+
+			if ( target === undefined || target === null ) {
+
+				console.warn( 'APP.ControlPanel: Property not found.', json.property );
+				return;
+
+			}
+
+		}
+
+		return Object.assign( {}, json, { target: target, key: key } );
+
+	},
+
+	getElement: function ( control, tagName ) {
+
+		var element = control.id !== undefined ? document.getElementById( control.id ) : null;
+
+		if ( element !== null ) return element;
+
+		element = document.createElement( tagName );
+		if ( control.id !== undefined ) element.id = control.id;
+
+		if ( control.label !== undefined && tagName === 'input' ) {
+
+			var label = document.createElement( 'label' );
+			label.textContent = control.label;
+			if ( control.id !== undefined ) label.htmlFor = control.id;
+
+			this.dom.appendChild( label );
+
+		}
+
+		this.dom.appendChild( element );
+
+		return element;
+
+	},
+
+	addButton: function ( control ) {
+
+		var element = this.getElement( control, 'button' );
+
+		if ( element.textContent === '' ) element.textContent = control.label;
+
+		element.onclick = function () {
+
+			if ( typeof control.target[ control.key ] === 'function' ) {
+
+				control.target[ control.key ]();
+
+			} else {
+
+				control.target[ control.key ] = ! control.target[ control.key ];
+
+			}
+
+		};
+
+		control.element = element;
+
+	},
+
+	addToggle: function ( control ) {
+
+		var element = this.getElement( control, 'input' );
+
+		element.type = 'checkbox';
+		element.checked = control.target[ control.key ];
+
+		element.onchange = function () {
+
+			control.target[ control.key ] = element.checked;
+
+		};
+
+		control.element = element;
+
+	},
+
+	addSlider: function ( control ) {
+
+		var element = this.getElement( control, 'input' );
+
+		element.type = 'range';
+		if ( control.min !== undefined ) element.min = control.min;
+		if ( control.max !== undefined ) element.max = control.max;
+		if ( control.step !== undefined ) element.step = control.step;
+		element.value = control.target[ control.key ];
+
+		element.oninput = function () {
+
+			control.target[ control.key ] = element.valueAsNumber;
+
+		};
+
+		control.element = element;
+
+	},
+
+	// Shows the current values again after the targets changed elsewhere
+
+	update: function () {
+
+		for ( var i = 0; i < this.controls.length; i ++ ) {
+
+			var control = this.controls[ i ];
+
+			switch ( control.type ) {
+
+				case 'toggle':
+					control.element.checked = control.target[ control.key ];
+					break;
+
+				case 'slider':
+					control.element.value = control.target[ control.key ];
+					break;
+
+			}
+
+		}
+
+	},
+
+	dispose: function () {
+
+		for ( var i = 0; i < this.controls.length; i ++ ) {
+
+			var element = this.controls[ i ].element;
+
+			element.onclick = element.onchange = element.oninput = null;
+
+		}
+
+		while ( this.dom.children.length ) {
+
+			this.dom.removeChild( this.dom.firstChild );
+
+		}
+
+		this.controls = [];
+
+	}
+
+} );
@@ -0,0 +1,115 @@
+/**
+ * Frame capture for APP.Player, to PNG images or a WebM video.
+ *
+ * Frames are grabbed right after the player renders them, so the canvas does
+ * not need preserveDrawingBuffer. Recording uses a canvas stream that only
+ * receives the frames the player hands over, which keeps stepped, fixed
+ * timestep playback free of duplicated or dropped frames.
+ */
+
+APP.FrameCapture = function ( canvas ) {
+
+	this.canvas = canvas;
+
+	this.frames = null; // pending PNG captures
+	this.recorder = null;
+	this.track = null;
+	this.chunks = [];
+
+};
+
+Object.assign( APP.FrameCapture.prototype, {
+
+	// Resolves with the PNG of the next rendered frame
+
+	capture: function () {
+
+		var scope = this;
+
+		if ( this.frames === null ) this.frames = [];
+
+		return new Promise( function ( resolve ) {
+
+			scope.frames.push( resolve );
+
+		} );
+
+	},
+
+	startRecording: function ( options ) {
+
+		options = options || {};
+
+		if ( this.recorder !== null ) this.stopRecording();
+
+		var stream = this.canvas.captureStream( 0 );
+
+		this.track = stream.getVideoTracks()[ 0 ];
+		this.chunks = [];
+
+		this.recorder = new MediaRecorder( stream, {
+			mimeType: options.mimeType !== undefined ? options.mimeType : 'video/webm',
+			videoBitsPerSecond: options.bitrate !== undefined ? options.bitrate : 8000000
+		} );
+
+		var chunks = this.chunks;
+
+		this.recorder.ondataavailable = function ( event ) {
+
+			if ( event.data.size > 0 ) chunks.push( event.data );
+
+		};
+
+		this.recorder.start();
+
+	},
+
+	// Resolves with the recorded WebM once the recorder has flushed
+
+	stopRecording: function () {
+
+		var recorder = this.recorder;
+		var chunks = this.chunks;
+
+		this.recorder = null;
+		this.track = null;
+
+		if ( recorder === null ) return Promise.resolve( null );
+
+		return new Promise( function ( resolve ) {
+
+			recorder.onstop = function () {
+
+				resolve( new Blob( chunks, { type: recorder.mimeType } ) );
+
+			};
+
+			recorder.stop();
+
+		} );
+
+	},
+
+	// Called by the player after each render
+
+	onFrame: function () {
+
+		if ( this.frames !== null ) {
+
+			var frames = this.frames;
+
+			this.frames = null;
+
+			this.canvas.toBlob( function ( blob ) {
+
+				for ( var i = 0; i < frames.length; i ++ ) frames[ i ]( blob );
+
+			}, 'image/png' );
+
+		}
+
+		if ( this.track !== null ) this.track.requestFrame();
+
+	}
+
+} );
@@ -0,0 +1,333 @@
+/**
+ * Scene graph inspector for APP.Player, enabled with the `inspector` query flag
+ * (index.html?inspector).
+ *
+ * Lists the scene hierarchy with visibility toggles, edits the transform and
+ * material of the selected object live, and shows the scripts attached to it.
+ * Objects picked in the scene are selected in the inspector too.
+ */
+
+APP.Inspector = function ( player, scene ) {
+
+	var scope = this;
+
+	this.player = player;
+	this.scene = scene;
+	this.selected = null;
+
+	this.dom = document.createElement( 'div' );
+	this.dom.className = 'inspector';
+	this.dom.style.cssText = 'position: absolute; top: 0; right: 0; width: 280px; max-height: 100%; overflow: auto; padding: 8px; box-sizing: border-box; background: rgba( 0, 0, 0, 0.75 ); color: lightgrey; font: 12px monospace;';
+
+	this.tree = document.createElement( 'div' );
+	this.dom.appendChild( this.tree );
+
+	this.details = document.createElement( 'div' );
+	this.details.style.cssText = 'margin-top: 8px; padding-top: 8px; border-top: 1px solid grey;';
+	this.dom.appendChild( this.details );
+
+	this.fields = [];
+	this.elapsed = 0;
+
+	this.onSelect = function ( event ) {
+
+		if ( event.object !== null ) scope.select( event.object );
+
+	};
+
+	this.onAfterRender = function ( event ) {
+
+		scope.update( event.delta );
+
+	};
+
+	player.events.on( 'select', this.onSelect );
+	player.events.on( 'afterRender', this.onAfterRender );
+
+	this.refresh();
+
+};
+
+Object.assign( APP.Inspector.prototype, {
+
+	refresh: function () {
+
+		var scope = this;
+
+		while ( this.tree.children.length ) this.tree.removeChild( this.tree.firstChild );
+
+		function addRow( object, depth ) {
+
+			var row = document.createElement( 'div' );
+			row.style.cssText = 'padding-left: ' + ( depth * 12 ) + 'px; white-space: nowrap; cursor: pointer;';
+			if ( object === scope.selected ) row.style.color = 'white';
+
+			var visible = document.createElement( 'input' );
+			visible.type = 'checkbox';
+			visible.checked = object.visible;
+			visible.style.margin = '0 4px 0 0';
+			visible.onchange = function () {
+
+				object.visible = visible.checked;
+
+			};
+
+			var name = document.createElement( 'span' );
+			name.textContent = object.name !== '' ? object.name : '(' + object.type + ')';
+			name.onclick = function () {
+
+				scope.select( object );
+
+			};
+
+			row.appendChild( visible );
+			row.appendChild( name );
+			scope.tree.appendChild( row );
+
+			for ( var i = 0; i < object.children.length; i ++ ) addRow( object.children[ i ], depth + 1 );
+
+		}
+
+		addRow( this.scene, 0 );
+
+	},
+
+	select: function ( object ) {
+
+		this.selected = object;
+		this.refresh();
+		this.showDetails();
+
+	},
+
+	showDetails: function () {
+
+		var scope = this;
+		var object = this.selected;
+
+		while ( this.details.children.length ) this.details.removeChild( this.details.firstChild );
+
+		this.fields = [];
+
+		if ( object === null ) return;
+
+		this.addText( object.name + ' ' + object.type );
+		this.addText( object.uuid );
+
+		// Transform
+
+		this.addVector( 'position', object.position, 0.1 );
+		this.addVector( 'rotation', object.rotation, 0.01 );
+		this.addVector( 'scale', object.scale, 0.1 );
+
+		// Material, edits go to the original when the picker highlights a copy
+
+		if ( object.material !== undefined && Array.isArray( object.material ) === false ) {
+
+			var materials = [ object.material ];
+			var original = this.player.picker.materials.get( object );
+
+			if ( original !== undefined ) materials.push( original );
+
+			this.addText( object.material.type );
+
+			[ 'color', 'emissive' ].forEach( function ( key ) {
+
+				if ( object.material[ key ] !== undefined ) scope.addColor( key, materials );
+
+			} );
+
+			[ 'roughness', 'metalness', 'opacity' ].forEach( function ( key ) {
+
+				if ( object.material[ key ] !== undefined ) scope.addNumber( key, materials, 0.05 );
+
+			} );
+
+			[ 'transparent', 'wireframe' ].forEach( function ( key ) {
+
+				if ( object.material[ key ] !== undefined ) scope.addBoolean( key, materials );
+
+			} );
+
+		}
+
+		// Scripts
+
+		var scripts = this.player.scripts.getScripts().filter( function ( script ) {
+
+			return script.uuid === object.uuid;
+
+		} );
+
+		for ( var i = 0; i < scripts.length; i ++ ) this.addScript( scripts[ i ] );
+
+	},
+
+	addText: function ( text ) {
+
+		var line = document.createElement( 'div' );
+		line.textContent = text;
+
+		this.details.appendChild( line );
+
+		return line;
+
+	},
+
+	addVector: function ( label, vector, step ) {
+
+		var line = this.addText( label );
+
+		[ 'x', 'y', 'z' ].forEach( function ( axis ) {
+
+			var input = document.createElement( 'input' );
+			input.type = 'number';
+			input.step = step;
+			input.style.cssText = 'width: 70px; margin: 2px;';
+			input.onchange = function () {
+
+				if ( ! isFinite( input.valueAsNumber ) ) return;
+
+				vector[ axis ] = input.valueAsNumber;
+
+			};
+
+			line.appendChild( input );
+
+			this.fields.push( { input: input, read: function () {
+
+				return Number( vector[ axis ].toFixed( 3 ) );
+
+			} } );
+
+		}, this );
+
+		this.readFields();
+
+	},
+
+	addColor: function ( key, materials ) {
+
+		var line = this.addText( key );
+		var input = document.createElement( 'input' );
+		input.type = 'color';
+		input.value = '#' + materials[ materials.length - 1 ][ key ].getHexString();
+		input.oninput = function () {
+
+			materials.forEach( function ( material ) {
+
+				material[ key ].set( input.value );
+
+			} );
+
+		};
+
+		line.appendChild( input );
+
+	},
+
+	addNumber: function ( key, materials, step ) {
+
+		var line = this.addText( key );
+		var input = document.createElement( 'input' );
+		input.type = 'number';
+		input.step = step;
+		input.style.cssText = 'width: 70px; margin: 2px;';
+		input.value = materials[ 0 ][ key ];
+		input.onchange = function () {
+
+			if ( ! isFinite( input.valueAsNumber ) ) return;
+
+			materials.forEach( function ( material ) {
+
+				material[ key ] = input.valueAsNumber;
+
+			} );
+
+		};
+
+		line.appendChild( input );
+
+	},
+
+	addBoolean: function ( key, materials ) {
+
+		var line = this.addText( key );
+		var input = document.createElement( 'input' );
+		input.type = 'checkbox';
+		input.checked = materials[ 0 ][ key ];
+		input.onchange = function () {
+
+			materials.forEach( function ( material ) {
+
+				material[ key ] = input.checked;
+				material.needsUpdate = true;
+
+			} );
+
+		};
+
+		line.appendChild( input );
+
+	},
+
+	addScript: function ( script ) {
+
+		var line = this.addText( 'script ' );
+		var enabled = document.createElement( 'input' );
+		enabled.type = 'checkbox';
+		enabled.checked = script.enabled;
+		enabled.onchange = function () {
+
+			script.enabled = enabled.checked;
+			script.error = null;
+
+		};
+
+		line.insertBefore( enabled, line.firstChild );
+		line.appendChild( document.createTextNode( '"' + script.name + '"' ) );
+
+		if ( script.error !== null ) {
+
+			this.addText( script.error ).style.color = 'tomato';
+
+		}
+
+	},
+
+	// Transforms change while playing, so refresh the fields twice a second
+
+	update: function ( delta ) {
+
+		this.elapsed += delta;
+
+		if ( this.elapsed < 500 ) return;
+
+		this.elapsed = 0;
+
+		this.readFields();
+
+	},
+
+	readFields: function () {
+
+		for ( var i = 0; i < this.fields.length; i ++ ) {
+
+			var field = this.fields[ i ];
+
+			if ( field.input !== document.activeElement ) field.input.value = field.read();
+
+		}
+
+	},
+
+	dispose: function () {
+
+		this.player.events.off( 'select', this.onSelect );
+		this.player.events.off( 'afterRender', this.onAfterRender );
+
+		if ( this.dom.parentNode !== null ) this.dom.parentNode.removeChild( this.dom );
+
+	}
+
+} );
@@ -0,0 +1,95 @@
+/**
+ * Seeded flicker animator for point lights.
+ *
+ * A flicker value wanders between a cycle of peaks at a random, frame-rate
+ * independent speed. The intensity, distance, color and fog curves map that
+ * value onto the light; each curve is a list of [ value, output ] keys, as
+ * sampled by APP.Random. Without an intensity curve the value itself
+ * scales the base intensity.
+ */
+
+APP.LightFlicker = function ( light, parameters, scene ) {
+
+	parameters = parameters || {};
+
+	this.light = light;
+	this.fog = scene !== undefined && scene.fog ? scene.fog : null;
+
+	this.seed = parameters.seed !== undefined ? parameters.seed : 1;
+	this.random = APP.Random.createRandom( this.seed );
+
+	this.peaks = parameters.peaks !== undefined ? parameters.peaks : [ 1.5, 1, 2, 1, 1.5, 0.5 ];
+	this.rate = parameters.rate !== undefined ? parameters.rate : 1.2; // max change of the value per second
+	this.jitter = parameters.jitter !== undefined ? parameters.jitter : 0.2;
+
+	this.curves = {
+		intensity: parameters.intensity !== undefined ? parameters.intensity : null,
+		distance: parameters.distance !== undefined ? parameters.distance : null,
+		color: parameters.color !== undefined ? parameters.color.map( function ( key ) {
+
+			return [ key[ 0 ], new THREE.Color( key[ 1 ] ) ];
+
+		} ) : null,
+		fog: parameters.fog !== undefined ? parameters.fog : null
+	};
+
+	this.intensity = light.intensity; // base intensity, scaled by the intensity curve
+	this.value = 0;
+	this.peak = 0;
+
+};
+
+Object.assign( APP.LightFlicker.prototype, {
+
+	reset: function () {
+
+		this.random = APP.Random.createRandom( this.seed );
+		this.value = 0;
+		this.peak = 0;
+
+	},
+
+	update: function ( delta ) {
+
+		var target = this.peaks[ this.peak ];
+		var step = this.rate * this.random() * delta / 1000;
+
+		if ( this.value < target ) {
+
+			this.value = Math.min( this.value + step, target );
+
+		} else {
+
+			this.value = Math.max( this.value - step, target );
+
+		}
+
+		if ( this.value === target ) this.peak = ( this.peak + 1 ) % this.peaks.length;
+
+		var value = this.value + this.jitter * this.random();
+
+		if ( this.curves.intensity !== null ) value = APP.Random.sample( this.curves.intensity, value );
+
+		this.light.intensity = this.intensity * value;
+
+		if ( this.curves.distance !== null ) {
+
+			this.light.distance = APP.Random.sample( this.curves.distance, this.value );
+
+		}
+
+		if ( this.curves.color !== null ) {
+
+			APP.Random.sampleColor( this.curves.color, this.value, this.light.color );
+
+		}
+
+		if ( this.curves.fog !== null && this.fog !== null ) {
+
+			this.fog.density += this.intensity * APP.Random.sample( this.curves.fog, this.value );
+
+		}
+
+	}
+
+} );
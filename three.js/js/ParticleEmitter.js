@@ -0,0 +1,300 @@
+/**
+ * Particle emitter component, for embers above the fire or snowfall.
+ *
+ * Particles are written once when they spawn, with their start position,
+ * velocity, birth time and lifetime, into a ring buffer. The vertex shader
+ * moves them and looks up the color and opacity ramps, so the CPU only does
+ * work for new particles. Ramps are lists of up to four [ age, value ] keys,
+ * age running from 0 to 1 over the lifetime.
+ *
+ * `intensity` scales the spawn rate; the time of day drives it for emitters
+ * with a `daylight` [ day, night ] pair. Particles fade into the scene fog.
+ */
+
+APP.ParticleEmitter = function ( object, parameters, scene, manager ) {
+
+	parameters = parameters || {};
+
+	this.object = object;
+
+	this.seed = parameters.seed !== undefined ? parameters.seed : 1;
+	this.random = APP.Random.createRandom( this.seed );
+
+	this.count = parameters.count !== undefined ? parameters.count : 200;
+	this.rate = parameters.rate !== undefined ? parameters.rate : 20; // particles per second
+	this.lifetime = parameters.lifetime !== undefined ? parameters.lifetime : [ 1, 2 ]; // seconds, min and max
+	this.offset = new THREE.Vector3().fromArray( parameters.offset !== undefined ? parameters.offset : [ 0, 0, 0 ] );
+	this.area = new THREE.Vector3().fromArray( parameters.area !== undefined ? parameters.area : [ 0, 0, 0 ] );
+	this.velocity = new THREE.Vector3().fromArray( parameters.velocity !== undefined ? parameters.velocity : [ 0, 1, 0 ] );
+	this.spread = new THREE.Vector3().fromArray( parameters.spread !== undefined ? parameters.spread : [ 0, 0, 0 ] );
+
+	this.daylight = parameters.daylight !== undefined ? parameters.daylight : null;
+	this.intensity = 1;
+
+	this.time = 0;
+	this.pending = 0;
+	this.cursor = 0;
+
+	var geometry = new THREE.BufferGeometry();
+
+	geometry.addAttribute( 'position', new THREE.BufferAttribute( new Float32Array( this.count * 3 ), 3 ) );
+	geometry.addAttribute( 'velocity', new THREE.BufferAttribute( new Float32Array( this.count * 3 ), 3 ) );
+	geometry.addAttribute( 'birth', new THREE.BufferAttribute( new Float32Array( this.count ).fill( - 1e6 ), 1 ) );
+	geometry.addAttribute( 'lifetime', new THREE.BufferAttribute( new Float32Array( this.count ).fill( 1 ), 1 ) );
+
+	var uniforms = {
+		time: { value: 0 },
+		size: { value: parameters.size !== undefined ? parameters.size : 0.1 },
+		scale: { value: 1 },
+		acceleration: { value: new THREE.Vector3().fromArray( parameters.acceleration !== undefined ? parameters.acceleration : [ 0, 0, 0 ] ) },
+		colorKeys: { value: [] },
+		colors: { value: [] },
+		colorCount: { value: 0 },
+		opacityKeys: { value: [] },
+		opacities: { value: [] },
+		opacityCount: { value: 0 },
+		map: { value: null }
+	};
+
+	Object.assign( uniforms, THREE.UniformsUtils.clone( THREE.UniformsLib.fog ) );
+
+	APP.ParticleEmitter.setRamp( parameters.color !== undefined ? parameters.color : [ [ 0, 0xffffff ] ], uniforms.colorKeys, uniforms.colors, uniforms.colorCount, function ( value ) {
+
+		return new THREE.Color( value );
+
+	} );
+
+	APP.ParticleEmitter.setRamp( parameters.opacity !== undefined ? parameters.opacity : [ [ 0, 1 ], [ 1, 0 ] ], uniforms.opacityKeys, uniforms.opacities, uniforms.opacityCount, function ( value ) {
+
+		return value;
+
+	} );
+
+	if ( parameters.texture !== undefined ) {
+
+		uniforms.map.value = APP.AssetLoader.loadTexture( parameters.texture, manager );
+
+	} else {
+
+		uniforms.map.value = APP.ParticleEmitter.getSprite();
+
+	}
+
+	var material = new THREE.ShaderMaterial( {
+		uniforms: uniforms,
+		vertexShader: APP.ParticleEmitter.vertexShader,
+		fragmentShader: APP.ParticleEmitter.fragmentShader,
+		blending: parameters.blending === 'additive' ? THREE.AdditiveBlending : THREE.NormalBlending,
+		transparent: true,
+		depthWrite: false,
+		fog: true
+	} );
+
+	// In world space, so particles stay where they were emitted
+
+	this.points = new THREE.Points( geometry, material );
+	this.points.name = object.name + ' Particles';
+	this.points.frustumCulled = false;
+
+	var drawingBufferSize = new THREE.Vector2();
+
+	this.points.onBeforeRender = function ( renderer ) {
+
+		renderer.getDrawingBufferSize( drawingBufferSize );
+		uniforms.scale.value = drawingBufferSize.y / 2;
+
+	};
+
+	scene.add( this.points );
+
+};
+
+Object.assign( APP.ParticleEmitter.prototype, {
+
+	reset: function () {
+
+		this.random = APP.Random.createRandom( this.seed );
+		this.time = 0;
+		this.pending = 0;
+		this.cursor = 0;
+
+		this.points.geometry.attributes.birth.array.fill( - 1e6 );
+		this.points.geometry.attributes.birth.needsUpdate = true;
+
+	},
+
+	update: function ( delta ) {
+
+		this.time += delta / 1000;
+		this.points.material.uniforms.time.value = this.time;
+
+		this.pending = Math.min( this.pending + this.rate * this.intensity * delta / 1000, this.count );
+
+		if ( this.pending < 1 ) return;
+
+		this.object.updateWorldMatrix( true, false );
+
+		var attributes = this.points.geometry.attributes;
+
+		while ( this.pending >= 1 ) {
+
+			this.spawn( this.cursor );
+
+			this.cursor = ( this.cursor + 1 ) % this.count;
+			this.pending -= 1;
+
+		}
+
+		attributes.position.needsUpdate = true;
+		attributes.velocity.needsUpdate = true;
+		attributes.birth.needsUpdate = true;
+		attributes.lifetime.needsUpdate = true;
+
+	},
+
+	spawn: function ( index ) {
+
+		var random = this.random;
+		var attributes = this.points.geometry.attributes;
+		var position = APP.ParticleEmitter.position;
+
+		position.set(
+			( random() - 0.5 ) * this.area.x,
+			( random() - 0.5 ) * this.area.y,
+			( random() - 0.5 ) * this.area.z
+		).add( this.offset ).applyMatrix4( this.object.matrixWorld );
+
+		attributes.position.setXYZ( index, position.x, position.y, position.z );
+
+		attributes.velocity.setXYZ( index,
+			this.velocity.x + ( random() - 0.5 ) * this.spread.x,
+			this.velocity.y + ( random() - 0.5 ) * this.spread.y,
+			this.velocity.z + ( random() - 0.5 ) * this.spread.z
+		);
+
+		attributes.birth.setX( index, this.time );
+		attributes.lifetime.setX( index, THREE.Math.lerp( this.lifetime[ 0 ], this.lifetime[ 1 ], random() ) );
+
+	}
+
+} );
+
+APP.ParticleEmitter.position = new THREE.Vector3();
+
+APP.ParticleEmitter.RAMP_SIZE = 4;
+
+// Pads a ramp to RAMP_SIZE keys, the shader ignores the keys past count
+
+APP.ParticleEmitter.setRamp = function ( ramp, keys, values, count, convert ) {
+
+	if ( ramp.length > APP.ParticleEmitter.RAMP_SIZE ) {
+
+		console.warn( 'APP.ParticleEmitter: Ramps have at most ' + APP.ParticleEmitter.RAMP_SIZE + ' keys.' );
+
+	}
+
+	count.value = Math.min( ramp.length, APP.ParticleEmitter.RAMP_SIZE );
+
+	for ( var i = 0; i < APP.ParticleEmitter.RAMP_SIZE; i ++ ) {
+
+		var key = ramp[ Math.min( i, count.value - 1 ) ];
+
+		keys.value[ i ] = key[ 0 ];
+		values.value[ i ] = convert( key[ 1 ] );
+
+	}
+
+};
+
+APP.ParticleEmitter.sprite = null;
+
+APP.ParticleEmitter.getSprite = function () {
+
+	if ( APP.ParticleEmitter.sprite === null ) {
+
+		var canvas = document.createElement( 'canvas' );
+		canvas.width = canvas.height = 32;
+
+		var context = canvas.getContext( '2d' );
+		var gradient = context.createRadialGradient( 16, 16, 0, 16, 16, 16 );
+
+		gradient.addColorStop( 0, 'rgba( 255, 255, 255, 1 )' );
+		gradient.addColorStop( 0.4, 'rgba( 255, 255, 255, 0.6 )' );
+		gradient.addColorStop( 1, 'rgba( 255, 255, 255, 0 )' );
+
+		context.fillStyle = gradient;
+		context.fillRect( 0, 0, 32, 32 );
+
+		APP.ParticleEmitter.sprite = new THREE.CanvasTexture( canvas );
+
+	}
+
+	return APP.ParticleEmitter.sprite;
+
+};
+
+APP.ParticleEmitter.vertexShader = [
+	'#define RAMP_SIZE ' + APP.ParticleEmitter.RAMP_SIZE,
+
+	'uniform float time;',
+	'uniform float size;',
+	'uniform float scale;',
+	'uniform vec3 acceleration;',
+	'uniform float colorKeys[ RAMP_SIZE ];',
+	'uniform vec3 colors[ RAMP_SIZE ];',
+	'uniform int colorCount;',
+	'uniform float opacityKeys[ RAMP_SIZE ];',
+	'uniform float opacities[ RAMP_SIZE ];',
+	'uniform int opacityCount;',
+
+	'attribute vec3 velocity;',
+	'attribute float birth;',
+	'attribute float lifetime;',
+
+	'varying vec3 vColor;',
+	'varying float vOpacity;',
+
+	'#include <fog_pars_vertex>',
+
+	'void main() {',
+	'	float age = time - birth;',
+	'	float t = age / lifetime;',
+
+	'	if ( t < 0.0 || t > 1.0 ) {',
+	'		gl_Position = vec4( 2.0, 2.0, 2.0, 1.0 );',
+	'		gl_PointSize = 0.0;',
+	'		return;',
+	'	}',
+
+	'	vColor = colors[ 0 ];',
+	'	vOpacity = opacities[ 0 ];',
+
+	'	for ( int i = 1; i < RAMP_SIZE; i ++ ) {',
+	'		if ( i < colorCount ) vColor = mix( vColor, colors[ i ], clamp( ( t - colorKeys[ i - 1 ] ) / ( colorKeys[ i ] - colorKeys[ i - 1 ] ), 0.0, 1.0 ) );',
+	'		if ( i < opacityCount ) vOpacity = mix( vOpacity, opacities[ i ], clamp( ( t - opacityKeys[ i - 1 ] ) / ( opacityKeys[ i ] - opacityKeys[ i - 1 ] ), 0.0, 1.0 ) );',
+	'	}',
+
+	'	vec3 transformed = position + velocity * age + 0.5 * acceleration * age * age;',
+	'	vec4 mvPosition = modelViewMatrix * vec4( transformed, 1.0 );',
+
+	'	gl_PointSize = size * scale / - mvPosition.z;',
+	'	gl_Position = projectionMatrix * mvPosition;',
+
+	'	#include <fog_vertex>',
+	'}'
+].join( '\n' );
+
+APP.ParticleEmitter.fragmentShader = [
+	'uniform sampler2D map;',
+
+	'varying vec3 vColor;',
+	'varying float vOpacity;',
+
+	'#include <fog_pars_fragment>',
+
+	'void main() {',
+	'	gl_FragColor = vec4( vColor, vOpacity ) * texture2D( map, gl_PointCoord );',
+
+	'	#include <fog_fragment>',
+	'}'
+].join( '\n' );
@@ -0,0 +1,150 @@
+/**
+ * Object picking and highlighting for APP.Player.
+ *
+ * Raycast hits resolve to the nearest pickable ancestor, so clicking the Dome
+ * mesh picks the Igloo group. Highlighted meshes get a temporary copy of their
+ * material with the emissive color replaced, as many meshes in an exported
+ * scene share one material.
+ */
+
+APP.Picker = function ( parameters ) {
+
+	parameters = parameters || {};
+
+	this.objects = [];
+
+	this.hoverColor = new THREE.Color( parameters.hoverColor !== undefined ? parameters.hoverColor : 0x333333 );
+	this.selectColor = new THREE.Color( parameters.selectColor !== undefined ? parameters.selectColor : 0x886600 );
+
+	this.hovered = null;
+	this.selected = null;
+
+	this.raycaster = new THREE.Raycaster();
+	this.pointer = new THREE.Vector2();
+
+	this.materials = new Map(); // mesh -> original material
+
+};
+
+Object.assign( APP.Picker.prototype, {
+
+	// Pickable objects by name, missing names are reported and skipped
+
+	load: function ( names, scene ) {
+
+		this.objects = [];
+
+		if ( names === undefined ) return;
+
+		for ( var i = 0; i < names.length; i ++ ) {
+
+			var object = scene.getObjectByName( names[ i ], true );
+
+			if ( object === undefined ) {
+
+				console.warn( 'APP.Picker: Object not found.', names[ i ] );
+				continue;
+
+			}
+
+			this.objects.push( object );
+
+		}
+
+	},
+
+	raycast: function ( clientX, clientY, camera, domElement, objects ) {
+
+		var rect = domElement.getBoundingClientRect();
+
+		this.pointer.x = ( clientX - rect.left ) / rect.width * 2 - 1;
+		this.pointer.y = - ( clientY - rect.top ) / rect.height * 2 + 1;
+
+		this.raycaster.setFromCamera( this.pointer, camera );
+
+		return this.raycaster.intersectObjects( objects, true );
+
+	},
+
+	pick: function ( clientX, clientY, camera, domElement ) {
+
+		var intersects = this.raycast( clientX, clientY, camera, domElement, this.objects );
+
+		for ( var i = 0; i < intersects.length; i ++ ) {
+
+			var object = intersects[ i ].object;
+
+			while ( object !== null && this.objects.indexOf( object ) === - 1 ) object = object.parent;
+
+			if ( object !== null ) return { object: object, point: intersects[ i ].point };
+
+		}
+
+		return null;
+
+	},
+
+	setHovered: function ( object ) {
+
+		if ( object === this.hovered ) return;
+
+		this.hovered = object;
+		this.refresh();
+
+	},
+
+	setSelected: function ( object ) {
+
+		if ( object === this.selected ) return;
+
+		this.selected = object;
+		this.refresh();
+
+	},
+
+	// Selection wins over hover, also when one object is nested in the other
+
+	refresh: function () {
+
+		this.restore();
+
+		if ( this.hovered !== null ) this.highlight( this.hovered, this.hoverColor );
+		if ( this.selected !== null ) this.highlight( this.selected, this.selectColor );
+
+	},
+
+	highlight: function ( object, color ) {
+
+		var materials = this.materials;
+
+		object.traverse( function ( child ) {
+
+			if ( child.isMesh !== true || child.material.emissive === undefined ) return;
+
+			if ( materials.has( child ) === false ) {
+
+				materials.set( child, child.material );
+				child.material = child.material.clone();
+
+			}
+
+			child.material.emissive.copy( color );
+
+		} );
+
+	},
+
+	restore: function () {
+
+		this.materials.forEach( function ( material, mesh ) {
+
+			mesh.material.dispose();
+			mesh.material = material;
+
+		} );
+
+		this.materials.clear();
+
+	}
+
+} );
@@ -0,0 +1,121 @@
+/**
+ * URL hash encoding of APP.Player state, so a view of the scene can be shared:
+ *
+ *	#rotation=1,1,0.06&camera=14.4,1.216,0.52&time=0.5,0&mode=walk&walk=2.5,-4,0.8,0
+ *
+ * rotation is active, direction and speed, camera is the orbit distance, polar
+ * and azimuthal angle, and time is the time of day and whether it is paused.
+ * mode is the navigation mode, orbit or walk, and walk is the walker's x and
+ * z position, yaw and pitch.
+ */
+
+APP.PlayerState = {
+
+	encode: function ( state ) {
+
+		var params = [];
+
+		function round( value ) {
+
+			return Math.round( value * 10000 ) / 10000;
+
+		}
+
+		if ( state.rotation !== undefined ) {
+
+			params.push( 'rotation=' + [ state.rotation.active ? 1 : 0, state.rotation.direction ? 1 : 0, round( state.rotation.speed ) ].join( ',' ) );
+
+		}
+
+		if ( state.camera !== undefined ) {
+
+			params.push( 'camera=' + [ state.camera.radius, state.camera.phi, state.camera.theta ].map( round ).join( ',' ) );
+
+		}
+
+		if ( state.time !== undefined ) {
+
+			params.push( 'time=' + [ round( state.time ), state.paused ? 1 : 0 ].join( ',' ) );
+
+		}
+
+		if ( state.mode !== undefined ) {
+
+			params.push( 'mode=' + state.mode );
+
+		}
+
+		if ( state.walk !== undefined ) {
+
+			params.push( 'walk=' + [ state.walk.x, state.walk.z, state.walk.yaw, state.walk.pitch ].map( round ).join( ',' ) );
+
+		}
+
+		return '#' + params.join( '&' );
+
+	},
+
+	// Unknown or malformed entries are left out
+
+	decode: function ( hash ) {
+
+		var state = {};
+		var params = hash.replace( /^#/, '' ).split( '&' );
+
+		for ( var i = 0; i < params.length; i ++ ) {
+
+			var pair = params[ i ].split( '=' );
+
+			if ( pair.length !== 2 || pair[ 1 ] === '' ) continue;
+
+			if ( pair[ 0 ] === 'mode' ) {
+
+				if ( pair[ 1 ] === 'orbit' || pair[ 1 ] === 'walk' ) state.mode = pair[ 1 ];
+				continue;
+
+			}
+
+			var values = pair[ 1 ].split( ',' );
+
+			if ( values.some( function ( value ) {
+
+				return value.trim() === '';
+
+			} ) ) continue;
+
+			values = values.map( Number );
+
+			if ( values.every( isFinite ) === false ) continue;
+
+			switch ( pair[ 0 ] ) {
+
+				case 'rotation':
+					if ( values.length !== 3 ) break;
+					state.rotation = { active: values[ 0 ] === 1, direction: values[ 1 ] === 1, speed: values[ 2 ] };
+					break;
+
+				case 'camera':
+					if ( values.length !== 3 ) break;
+					state.camera = { radius: values[ 0 ], phi: values[ 1 ], theta: values[ 2 ] };
+					break;
+
+				case 'time':
+					if ( values.length > 2 ) break;
+					state.time = values[ 0 ];
+					if ( values.length === 2 ) state.paused = values[ 1 ] === 1;
+					break;
+
+				case 'walk':
+					if ( values.length !== 4 ) break;
+					state.walk = { x: values[ 0 ], z: values[ 1 ], yaw: values[ 2 ], pitch: values[ 3 ] };
+					break;
+
+			}
+
+		}
+
+		return state;
+
+	}
+
+};
@@ -0,0 +1,60 @@
+/**
+ * Seeded random numbers and curve sampling shared by the components.
+ *
+ * A curve is a list of [ value, output ] keys, sorted by value, that is
+ * interpolated linearly and clamped outside its first and last key.
+ */
+
+APP.Random = {};
+
+// Mulberry32, so that a seed always plays back the same sequence
+
+APP.Random.createRandom = function ( seed ) {
+
+	var state = seed >>> 0;
+
+	return function () {
+
+		state = ( state + 0x6D2B79F5 ) >>> 0;
+
+		var t = state;
+		t = Math.imul( t ^ ( t >>> 15 ), t | 1 );
+		t ^= t + Math.imul( t ^ ( t >>> 7 ), t | 61 );
+
+		return ( ( t ^ ( t >>> 14 ) ) >>> 0 ) / 4294967296;
+
+	};
+
+};
+
+APP.Random.findKey = function ( curve, value ) {
+
+	var i = 1;
+
+	while ( i < curve.length - 1 && curve[ i ][ 0 ] < value ) i ++;
+
+	return i;
+
+};
+
+APP.Random.sample = function ( curve, value ) {
+
+	if ( curve.length === 1 ) return curve[ 0 ][ 1 ];
+
+	var i = APP.Random.findKey( curve, value );
+	var a = curve[ i - 1 ], b = curve[ i ];
+
+	return THREE.Math.lerp( a[ 1 ], b[ 1 ], THREE.Math.clamp( ( value - a[ 0 ] ) / ( b[ 0 ] - a[ 0 ] ), 0, 1 ) );
+
+};
+
+APP.Random.sampleColor = function ( curve, value, target ) {
+
+	if ( curve.length === 1 ) return target.copy( curve[ 0 ][ 1 ] );
+
+	var i = APP.Random.findKey( curve, value );
+	var a = curve[ i - 1 ], b = curve[ i ];
+
+	return target.copy( a[ 1 ] ).lerp( b[ 1 ], THREE.Math.clamp( ( value - a[ 0 ] ) / ( b[ 0 ] - a[ 0 ] ), 0, 1 ) );
+
+};
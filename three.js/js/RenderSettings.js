@@ -0,0 +1,171 @@
+/**
+ * Renderer and shadow settings from the `rendering` section of the app.json
+ * project, so the player matches the look of the scene in the editor:
+ *
+ *	"rendering": {
+ *		"shadowType": "PCFSoft",
+ *		"shadow": { "mapSize": 1024, "bias": -0.0005 },
+ *		"toneMapping": "ACESFilmic",
+ *		"toneMappingExposure": 1,
+ *		"outputEncoding": "sRGB",
+ *		"lights": { "Sun": { "shadow": { "mapSize": 2048 } } }
+ *	}
+ *
+ * `shadow` applies to every shadow casting light, `lights` overrides it per
+ * light by name.
+ */
+
+APP.RenderSettings = {
+
+	SHADOW_TYPES: {
+		Basic: THREE.BasicShadowMap,
+		PCF: THREE.PCFShadowMap,
+		PCFSoft: THREE.PCFSoftShadowMap
+	},
+
+	TONE_MAPPINGS: {
+		None: THREE.NoToneMapping,
+		Linear: THREE.LinearToneMapping,
+		Reinhard: THREE.ReinhardToneMapping,
+		Uncharted2: THREE.Uncharted2ToneMapping,
+		Cineon: THREE.CineonToneMapping,
+		ACESFilmic: THREE.ACESFilmicToneMapping
+	},
+
+	ENCODINGS: {
+		Linear: THREE.LinearEncoding,
+		sRGB: THREE.sRGBEncoding,
+		Gamma: THREE.GammaEncoding
+	},
+
+	lookup: function ( table, name, description ) {
+
+		if ( table[ name ] === undefined ) {
+
+			console.warn( 'APP.RenderSettings: Unknown ' + description + '.', name );
+			return undefined;
+
+		}
+
+		return table[ name ];
+
+	},
+
+	apply: function ( renderer, settings ) {
+
+		settings = settings || {};
+
+		if ( settings.shadowType !== undefined ) {
+
+			var type = this.lookup( this.SHADOW_TYPES, settings.shadowType, 'shadow map type' );
+
+			if ( type !== undefined ) renderer.shadowMap.type = type;
+
+		}
+
+		if ( settings.toneMapping !== undefined ) {
+
+			var toneMapping = this.lookup( this.TONE_MAPPINGS, settings.toneMapping, 'tone mapping' );
+
+			if ( toneMapping !== undefined ) renderer.toneMapping = toneMapping;
+
+		}
+
+		if ( settings.toneMappingExposure !== undefined ) renderer.toneMappingExposure = settings.toneMappingExposure;
+
+		var encoding = this.lookup( this.ENCODINGS, settings.outputEncoding !== undefined ? settings.outputEncoding : 'sRGB', 'output encoding' );
+
+		if ( encoding === undefined ) return;
+
+		if ( 'outputEncoding' in renderer ) {
+
+			renderer.outputEncoding = encoding;
+
+		} else {
+
+			// Before r112 the renderer only knows gamma output, which approximates sRGB
+
+			renderer.gammaOutput = encoding !== THREE.LinearEncoding;
+
+		}
+
+	},
+
+	// Shared shadow settings first, then the overrides of each named light
+
+	applyLights: function ( scene, settings ) {
+
+		settings = settings || {};
+
+		var scope = this;
+		var lights = settings.lights || {};
+
+		if ( settings.shadow !== undefined ) {
+
+			scene.traverse( function ( object ) {
+
+				if ( object.isLight === true && object.castShadow === true ) scope.applyShadow( object, settings.shadow );
+
+			} );
+
+		}
+
+		for ( var name in lights ) {
+
+			var light = scene.getObjectByName( name, true );
+
+			if ( light === undefined || light.isLight !== true ) {
+
+				console.warn( 'APP.RenderSettings: Light not found.', name );
+				continue;
+
+			}
+
+			if ( lights[ name ].castShadow !== undefined ) light.castShadow = lights[ name ].castShadow;
+			if ( lights[ name ].shadow !== undefined ) this.applyShadow( light, lights[ name ].shadow );
+
+		}
+
+	},
+
+	applyShadow: function ( light, shadow ) {
+
+		if ( light.shadow === undefined ) return;
+
+		if ( shadow.mapSize !== undefined ) {
+
+			var mapSize = Array.isArray( shadow.mapSize ) ? shadow.mapSize : [ shadow.mapSize, shadow.mapSize ];
+
+			light.shadow.mapSize.fromArray( mapSize );
+
+			// The map is reallocated at the new size on the next render
+
+			if ( light.shadow.map !== null ) {
+
+				light.shadow.map.dispose();
+				light.shadow.map = null;
+
+			}
+
+		}
+
+		if ( shadow.bias !== undefined ) light.shadow.bias = shadow.bias;
+		if ( shadow.radius !== undefined ) light.shadow.radius = shadow.radius;
+
+		if ( shadow.camera !== undefined ) {
+
+			var camera = light.shadow.camera;
+
+			[ 'near', 'far', 'left', 'right', 'top', 'bottom', 'fov' ].forEach( function ( key ) {
+
+				if ( shadow.camera[ key ] !== undefined && camera[ key ] !== undefined ) camera[ key ] = shadow.camera[ key ];
+
+			} );
+
+			camera.updateProjectionMatrix();
+
+		}
+
+	}
+
+};
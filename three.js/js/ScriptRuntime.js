@@ -0,0 +1,336 @@
+/**
+ * Runtime for the app.json scripts of APP.Player.
+ *
+ * Every script is compiled and dispatched on its own, so a script that fails
+ * to load or throws from a handler is reported with its name and uuid while
+ * the other scripts and the player keep running. Scripts can be enabled and
+ * disabled by name or object uuid.
+ *
+ * Scripts are not sandboxed: they are compiled with `new Function` and run
+ * with the page's globals (window, document, APP), as trusted scene content.
+ * Only their errors are isolated.
+ *
+ * The runtime doubles as an event bus: besides the built-in events, scripts
+ * can emit and subscribe to their own through the `events` parameter:
+ *
+ *	events.on( 'nightfall', function ( event ) { ... } );
+ *	events.emit( 'alarm', { source: this } );
+ */
+
+APP.ScriptRuntime = function ( player ) {
+
+	this.player = player;
+
+	this.scripts = [];
+	this.events = {};
+
+	for ( var i = 0; i < APP.ScriptRuntime.EVENTS.length; i ++ ) {
+
+		this.events[ APP.ScriptRuntime.EVENTS[ i ] ] = [];
+
+	}
+
+};
+
+APP.ScriptRuntime.EVENTS = [
+	'init',
+	'start',
+	'stop',
+	'keydown',
+	'keyup',
+	'mousedown',
+	'mouseup',
+	'mousemove',
+	'touchstart',
+	'touchend',
+	'touchmove',
+	'wheel',
+	'pointerenter',
+	'pointerleave',
+	'select',
+	'resize',
+	'visibilitychange',
+	'update',
+	'beforeRender',
+	'afterRender'
+];
+
+// Events only delivered to the scripts of the object they happened on
+
+APP.ScriptRuntime.OBJECT_EVENTS = [ 'pointerenter', 'pointerleave' ];
+
+Object.assign( APP.ScriptRuntime.prototype, {
+
+	load: function ( json, renderer, scene, camera ) {
+
+		var wrapParams = [ 'player', 'renderer', 'scene', 'camera', 'events' ].concat( APP.ScriptRuntime.EVENTS ).join( ',' );
+		var wrapResult = '{' + APP.ScriptRuntime.EVENTS.map( function ( type ) {
+
+			return type + ':' + type;
+
+		} ).join( ',' ) + '}';
+
+		for ( var uuid in json ) {
+
+			var object = scene.getObjectByProperty( 'uuid', uuid, true );
+
+			if ( object === undefined ) {
+
+				console.warn( 'APP.ScriptRuntime: Script without object.', uuid );
+				continue;
+
+			}
+
+			var sources = json[ uuid ];
+
+			for ( var i = 0; i < sources.length; i ++ ) {
+
+				var script = {
+					uuid: uuid,
+					name: sources[ i ].name,
+					object: object,
+					enabled: true,
+					error: null
+				};
+
+				this.scripts.push( script );
+
+				var functions;
+
+				try {
+
+					functions = ( new Function( wrapParams, sources[ i ].source + '\nreturn ' + wrapResult + ';' ).bind( object ) )( this.player, renderer, scene, camera, this.createBus( script ) );
+
+				} catch ( e ) {
+
+					this.report( script, 'Failed to load', e );
+					continue;
+
+				}
+
+				this.validate( script, sources[ i ].source, functions );
+
+				for ( var type in functions ) {
+
+					if ( typeof functions[ type ] !== 'function' || this.events[ type ] === undefined ) continue;
+
+					this.on( type, functions[ type ].bind( object ), script );
+
+				}
+
+			}
+
+		}
+
+	},
+
+	// Warns about returned handlers the player will never call
+
+	validate: function ( script, source, functions ) {
+
+		var names = [];
+		var declaration = /^function\s+([\w$]+)\s*\(/gm;
+		var match;
+
+		while ( ( match = declaration.exec( source ) ) !== null ) names.push( match[ 1 ] );
+
+		for ( var name in functions ) {
+
+			if ( functions[ name ] === undefined ) continue;
+
+			if ( typeof functions[ name ] !== 'function' ) {
+
+				console.warn( 'APP.ScriptRuntime: Handler is not a function (', name, ') in script "' + script.name + '" (' + script.uuid + ')' );
+
+			} else if ( this.events[ name ] === undefined ) {
+
+				console.warn( 'APP.ScriptRuntime: Event type not supported (', name, ') in script "' + script.name + '" (' + script.uuid + ')' );
+
+			}
+
+		}
+
+		// Declared functions that were probably meant as handlers, like onUpdate or keyDown
+
+		for ( var i = 0; i < names.length; i ++ ) {
+
+			var type = APP.ScriptRuntime.EVENTS.find( function ( type ) {
+
+				return type.toLowerCase() === names[ i ].toLowerCase().replace( /^on/, '' );
+
+			} );
+
+			if ( this.events[ names[ i ] ] === undefined && type !== undefined ) {
+
+				console.warn( 'APP.ScriptRuntime: Function', names[ i ], 'is never called ( did you mean', type, ') in script "' + script.name + '" (' + script.uuid + ')' );
+
+			}
+
+		}
+
+	},
+
+	report: function ( script, action, e ) {
+
+		var message = e.message || String( e );
+
+		// Only report a handler error once until it changes
+
+		if ( script.error === message ) return;
+
+		script.error = message;
+
+		console.error( 'APP.ScriptRuntime: ' + action + ' script "' + script.name + '" (' + script.uuid + '):', message, e.stack || '' );
+
+	},
+
+	// Scripts get a bus that files their subscriptions under the script
+
+	createBus: function ( script ) {
+
+		var scope = this;
+
+		return {
+
+			on: function ( type, handler ) {
+
+				scope.on( type, handler, script );
+
+			},
+
+			off: function ( type, handler ) {
+
+				scope.off( type, handler );
+
+			},
+
+			emit: function ( type, event ) {
+
+				scope.emit( type, event );
+
+			}
+
+		};
+
+	},
+
+	on: function ( type, handler, script ) {
+
+		if ( this.events[ type ] === undefined ) this.events[ type ] = [];
+
+		this.events[ type ].push( { handler: handler, script: script || null } );
+
+	},
+
+	off: function ( type, handler ) {
+
+		var listeners = this.events[ type ];
+
+		if ( listeners === undefined ) return;
+
+		for ( var i = listeners.length - 1; i >= 0; i -- ) {
+
+			if ( listeners[ i ].handler === handler ) listeners.splice( i, 1 );
+
+		}
+
+	},
+
+	emit: function ( type, event ) {
+
+		this.dispatch( type, event );
+
+	},
+
+	// Scripted objects listening to any of the given events
+
+	getObjects: function ( types ) {
+
+		var objects = [];
+
+		for ( var i = 0; i < types.length; i ++ ) {
+
+			var listeners = this.events[ types[ i ] ] || [];
+
+			for ( var j = 0; j < listeners.length; j ++ ) {
+
+				var script = listeners[ j ].script;
+
+				if ( script !== null && objects.indexOf( script.object ) === - 1 ) objects.push( script.object );
+
+			}
+
+		}
+
+		return objects;
+
+	},
+
+	dispatch: function ( type, event, object ) {
+
+		var listeners = this.events[ type ];
+
+		if ( listeners === undefined ) return;
+
+		listeners = listeners.slice(); // handlers may subscribe or unsubscribe
+
+		for ( var i = 0, l = listeners.length; i < l; i ++ ) {
+
+			var script = listeners[ i ].script;
+
+			if ( script !== null && script.enabled === false ) continue;
+			if ( object !== undefined && ( script === null || script.object !== object ) ) continue;
+
+			try {
+
+				listeners[ i ].handler( event );
+
+			} catch ( e ) {
+
+				if ( script === null ) {
+
+					console.error( 'APP.ScriptRuntime: Error in ' + type + ' listener:', ( e.message || e ), ( e.stack || '' ) );
+
+				} else {
+
+					this.report( script, 'Error in ' + type + ' of', e );
+
+				}
+
+			}
+
+		}
+
+	},
+
+	getScripts: function () {
+
+		return this.scripts.slice();
+
+	},
+
+	// Matches scripts by name, or every script of an object by uuid
+
+	setEnabled: function ( nameOrUuid, enabled ) {
+
+		var count = 0;
+
+		for ( var i = 0; i < this.scripts.length; i ++ ) {
+
+			var script = this.scripts[ i ];
+
+			if ( script.name !== nameOrUuid && script.uuid !== nameOrUuid ) continue;
+
+			script.enabled = enabled;
+			script.error = null;
+			count ++;
+
+		}
+
+		if ( count === 0 ) console.warn( 'APP.ScriptRuntime: Script not found.', nameOrUuid );
+
+		return count;
+
+	}
+
+} );
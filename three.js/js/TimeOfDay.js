@@ -0,0 +1,192 @@
+/**
+ * Time-of-day clock for APP.Player.
+ *
+ * A single normalized time value drives the sky, the water, the fog and the
+ * scene lights: 0 is midnight, 0.25 sunrise, 0.5 noon and 0.75 sunset.
+ *
+ * The time of day sweeps an inclination from -1 at midnight through 0 at noon,
+ * as in the three.js sky example. The sun's elevation follows the inclination
+ * alone, rising at 0.25 and setting at 0.75; the azimuth (0 to 1, a full
+ * turn) only sets the heading of the plane the sun moves in.
+ *
+ * Dispatches 'daybreak' and 'nightfall' events when the sun crosses the
+ * middle of dawn and dusk.
+ */
+
+APP.TimeOfDay = function ( parameters ) {
+
+	parameters = parameters || {};
+
+	this.time = parameters.time !== undefined ? parameters.time : 0.5;
+	this.dayLength = parameters.dayLength !== undefined ? parameters.dayLength : 120; // seconds
+	this.paused = parameters.paused !== undefined ? parameters.paused : false;
+
+	this.azimuth = parameters.azimuth !== undefined ? parameters.azimuth : 0.205;
+	this.twilight = parameters.twilight !== undefined ? parameters.twilight : 0.1; // sun elevation band of dawn and dusk
+
+	this.fogDensity = {
+		day: 0,
+		night: 0.025
+	};
+
+	if ( parameters.fogDensity !== undefined ) Object.assign( this.fogDensity, parameters.fogDensity );
+
+	this.noonColor = new THREE.Color( parameters.noonColor !== undefined ? parameters.noonColor : 0xffffff );
+	this.horizonColor = new THREE.Color( parameters.horizonColor !== undefined ? parameters.horizonColor : 0xff9955 );
+
+	this.sunDirection = new THREE.Vector3( 0, 1, 0 );
+	this.sunTint = new THREE.Color( 0xffffff );
+	this.sunColor = new THREE.Color( 0xffffff );
+	this.sunDistance = 20;
+
+	this.daylight = 1;
+	this.night = 0;
+	this.wasDay = null;
+
+	this.sky = null;
+	this.water = null;
+	this.sun = null;
+	this.fog = null;
+	this.lights = [];
+
+};
+
+Object.assign( APP.TimeOfDay.prototype, THREE.EventDispatcher.prototype, {
+
+	attach: function ( sky, water, sun, fog ) {
+
+		this.sky = sky;
+		this.water = water;
+		this.sun = sun;
+		this.fog = fog !== undefined ? fog : null;
+
+		this.sunDistance = sun.position.length();
+
+		this.addLight( sun, sun.intensity, 0 );
+
+		this.apply();
+
+	},
+
+	// Anything with an intensity (a light, or an animator driving one)
+
+	addLight: function ( light, day, night ) {
+
+		this.lights.push( { light: light, day: day, night: night } );
+
+	},
+
+	setTime: function ( time ) {
+
+		this.time = time - Math.floor( time );
+		this.apply();
+
+	},
+
+	getInclination: function () {
+
+		return 2 * ( this.time - 0.5 );
+
+	},
+
+	setInclination: function ( inclination ) {
+
+		this.setTime( inclination / 2 + 0.5 );
+
+	},
+
+	isDay: function () {
+
+		return this.daylight >= 0.5;
+
+	},
+
+	// Jumps to noon or midnight, whichever is further away
+
+	toggle: function () {
+
+		this.setTime( this.isDay() ? 0 : 0.5 );
+
+	},
+
+	// Intensities and fog are rewritten every frame so that animators can modulate them
+
+	update: function ( delta ) {
+
+		if ( ! this.paused && delta > 0 ) {
+
+			this.time += delta / ( this.dayLength * 1000 );
+			this.time -= Math.floor( this.time );
+
+		}
+
+		this.apply();
+
+	},
+
+	apply: function () {
+
+		var angle = Math.PI * this.getInclination(); // 0 at noon, -PI/2 at sunrise, PI/2 at sunset
+		var heading = 2 * Math.PI * this.azimuth;
+
+		this.sunDirection.set(
+			Math.sin( angle ) * Math.cos( heading ),
+			Math.cos( angle ),
+			Math.sin( angle ) * Math.sin( heading )
+		);
+
+		var elevation = this.sunDirection.y;
+
+		this.daylight = THREE.Math.smoothstep( elevation, - this.twilight, this.twilight );
+		this.night = 1 - this.daylight;
+
+		this.sunTint.copy( this.horizonColor ).lerp( this.noonColor, THREE.Math.smoothstep( elevation, 0, 0.5 ) );
+		this.sunColor.copy( this.sunTint ).multiplyScalar( this.daylight );
+
+		if ( this.sky !== null ) {
+
+			this.sky.material.uniforms[ "sunPosition" ].value.copy( this.sunDirection ).multiplyScalar( 400 ); // skydome scale
+
+		}
+
+		if ( this.water !== null ) {
+
+			this.water.material.uniforms[ "sunDirection" ].value.copy( this.sunDirection );
+			this.water.material.uniforms[ "sunColor" ].value.copy( this.sunColor );
+
+		}
+
+		if ( this.sun !== null ) {
+
+			this.sun.position.copy( this.sunDirection ).multiplyScalar( this.sunDistance );
+			this.sun.color.copy( this.sunTint );
+
+		}
+
+		if ( this.fog !== null ) {
+
+			this.fog.density = THREE.Math.lerp( this.fogDensity.night, this.fogDensity.day, this.daylight );
+
+		}
+
+		for ( var i = 0, l = this.lights.length; i < l; i ++ ) {
+
+			var entry = this.lights[ i ];
+
+			entry.light.intensity = THREE.Math.lerp( entry.night, entry.day, this.daylight );
+
+		}
+
+		var day = this.isDay();
+
+		if ( this.wasDay !== null && day !== this.wasDay ) {
+
+			this.dispatchEvent( { type: day ? 'daybreak' : 'nightfall', time: this.time } );
+
+		}
+
+		this.wasDay = day;
+
+	}
+
+} );
@@ -0,0 +1,236 @@
+/**
+ * First person walk controller for APP.Player.
+ *
+ * WASD or the arrow keys walk (Shift runs), and the mouse looks around once
+ * the canvas has captured the pointer with a click. The eye stays eyeHeight
+ * above the ground mesh, the walker cannot leave it, and obstacles block
+ * movement along each axis separately so walls can be slid along.
+ * Input arrives through the player's document event dispatch.
+ */
+
+APP.WalkController = function ( domElement, parameters ) {
+
+	parameters = parameters || {};
+
+	this.camera = null;
+	this.domElement = domElement;
+
+	this.ground = null;
+	this.obstacles = [];
+
+	this.eyeHeight = parameters.eyeHeight !== undefined ? parameters.eyeHeight : 1.6;
+	this.radius = parameters.radius !== undefined ? parameters.radius : 0.4;
+	this.speed = parameters.speed !== undefined ? parameters.speed : 3; // units per second
+	this.runMultiplier = parameters.runMultiplier !== undefined ? parameters.runMultiplier : 2;
+	this.lookSpeed = parameters.lookSpeed !== undefined ? parameters.lookSpeed : 0.002; // radians per pixel
+
+	this.enabled = false;
+
+	this.position = new THREE.Vector3().fromArray( parameters.start !== undefined ? parameters.start : [ 0, 0, 10 ] );
+	this.yaw = parameters.yaw !== undefined ? parameters.yaw : 0;
+	this.pitch = 0;
+
+	var scope = this;
+
+	var keys = {};
+
+	var raycaster = new THREE.Raycaster();
+	var down = new THREE.Vector3( 0, - 1, 0 );
+	var origin = new THREE.Vector3();
+	var step = new THREE.Vector3();
+	var direction = new THREE.Vector3();
+	var euler = new THREE.Euler( 0, 0, 0, 'YXZ' );
+	var quaternion = new THREE.Quaternion();
+	var parentQuaternion = new THREE.Quaternion();
+	var position = new THREE.Vector3();
+
+	this.setCamera = function ( value ) {
+
+		this.camera = value;
+
+	};
+
+	this.setGround = function ( object ) {
+
+		this.ground = object;
+
+	};
+
+	this.setObstacles = function ( objects ) {
+
+		this.obstacles = objects;
+
+	};
+
+	// Height of the ground below a point, or null when off the ground
+
+	this.getGroundHeight = function ( x, z ) {
+
+		if ( this.ground === null ) return 0;
+
+		origin.set( x, 1000, z );
+		raycaster.set( origin, down );
+		raycaster.near = 0;
+		raycaster.far = Infinity;
+
+		var intersects = raycaster.intersectObject( this.ground, true );
+
+		return intersects.length > 0 ? intersects[ 0 ].point.y : null;
+
+	};
+
+	// Looks from the current position towards a point, level with the horizon
+
+	this.lookAt = function ( target ) {
+
+		this.yaw = Math.atan2( this.position.x - target.x, this.position.z - target.z );
+		this.pitch = 0;
+
+	};
+
+	// The height follows the ground, so a pose is the position on it and the view
+
+	this.getPose = function () {
+
+		return { x: this.position.x, z: this.position.z, yaw: this.yaw, pitch: this.pitch };
+
+	};
+
+	this.setPose = function ( pose ) {
+
+		this.position.x = pose.x;
+		this.position.z = pose.z;
+		this.yaw = pose.yaw;
+		this.pitch = pose.pitch;
+
+	};
+
+	this.isBlocked = function ( from, along, distance ) {
+
+		if ( this.obstacles.length === 0 || distance === 0 ) return false;
+
+		raycaster.set( from, along );
+		raycaster.near = 0;
+		raycaster.far = distance + this.radius;
+
+		return raycaster.intersectObjects( this.obstacles, true ).length > 0;
+
+	};
+
+	this.move = function ( x, z ) {
+
+		var height = this.getGroundHeight( this.position.x, this.position.z );
+
+		// Cast at half the eye height, low enough to hit the huts and the pole
+
+		origin.copy( this.position );
+		origin.y = ( height !== null ? height : this.position.y - this.eyeHeight ) + this.eyeHeight / 2;
+
+		if ( x !== 0 && this.isBlocked( origin, direction.set( Math.sign( x ), 0, 0 ), Math.abs( x ) ) === false ) {
+
+			if ( this.getGroundHeight( this.position.x + x, this.position.z ) !== null ) this.position.x += x;
+
+		}
+
+		if ( z !== 0 && this.isBlocked( origin, direction.set( 0, 0, Math.sign( z ) ), Math.abs( z ) ) === false ) {
+
+			if ( this.getGroundHeight( this.position.x, this.position.z + z ) !== null ) this.position.z += z;
+
+		}
+
+	};
+
+	this.update = function ( delta ) {
+
+		if ( this.camera === null ) return;
+
+		var forward = ( keys.KeyW || keys.ArrowUp ? 1 : 0 ) - ( keys.KeyS || keys.ArrowDown ? 1 : 0 );
+		var strafe = ( keys.KeyD || keys.ArrowRight ? 1 : 0 ) - ( keys.KeyA || keys.ArrowLeft ? 1 : 0 );
+
+		if ( this.enabled && ( forward !== 0 || strafe !== 0 ) ) {
+
+			var distance = this.speed * ( keys.ShiftLeft || keys.ShiftRight ? this.runMultiplier : 1 ) * delta / 1000;
+
+			step.set( strafe, 0, - forward ).normalize().multiplyScalar( distance );
+			step.applyAxisAngle( THREE.Object3D.DefaultUp, this.yaw );
+
+			this.move( step.x, step.z );
+
+		}
+
+		var height = this.getGroundHeight( this.position.x, this.position.z );
+
+		if ( height !== null ) this.position.y = height + this.eyeHeight;
+
+		position.copy( this.position );
+
+		euler.set( this.pitch, this.yaw, 0 );
+		quaternion.setFromEuler( euler );
+
+		if ( this.camera.parent !== null ) {
+
+			this.camera.parent.updateWorldMatrix( true, false );
+			this.camera.parent.worldToLocal( position );
+			quaternion.premultiply( this.camera.parent.getWorldQuaternion( parentQuaternion ).inverse() );
+
+		}
+
+		this.camera.position.copy( position );
+		this.camera.quaternion.copy( quaternion );
+
+	};
+
+	//
+
+	function isLocked() {
+
+		return document.pointerLockElement === scope.domElement;
+
+	}
+
+	this.lock = function () {
+
+		if ( this.domElement.requestPointerLock !== undefined ) this.domElement.requestPointerLock();
+
+	};
+
+	this.unlock = function () {
+
+		keys = {};
+
+		if ( isLocked() ) document.exitPointerLock();
+
+	};
+
+	this.onKeyDown = function ( event ) {
+
+		if ( ! this.enabled ) return;
+
+		keys[ event.code ] = true;
+
+	};
+
+	this.onKeyUp = function ( event ) {
+
+		keys[ event.code ] = false;
+
+	};
+
+	this.onMouseDown = function ( event ) {
+
+		if ( ! this.enabled || event.target !== this.domElement || isLocked() ) return;
+
+		this.lock();
+
+	};
+
+	this.onMouseMove = function ( event ) {
+
+		if ( ! this.enabled || ! isLocked() ) return;
+
+		this.yaw -= event.movementX * this.lookSpeed;
+		this.pitch = THREE.Math.clamp( this.pitch - event.movementY * this.lookSpeed, - Math.PI / 2 + 0.05, Math.PI / 2 - 0.05 );
+
+	};
+
+};
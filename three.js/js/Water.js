@@ -29,6 +29,15 @@ THREE.Water = function ( geometry, options ) {
 	var distortionScale = options.distortionScale !== undefined ? options.distortionScale : 20.0;
 	var side = options.side !== undefined ? options.side : THREE.FrontSide;
 	var fog = options.fog !== undefined ? options.fog : false;
+	var skipBelowWater = options.skipBelowWater !== undefined ? options.skipBelowWater : true;
+	var size = options.size !== undefined ? options.size : 1.0;
+	var windDirection = options.windDirection !== undefined ? options.windDirection : new THREE.Vector2( 1, 0 );
+	var windSpeed = options.windSpeed !== undefined ? options.windSpeed : 1.0;
+	var rippleResolution = options.rippleResolution !== undefined ? options.rippleResolution : 128;
+	var rippleSize = options.rippleSize !== undefined ? options.rippleSize : 100.0;
+	var rippleCenter = options.rippleCenter !== undefined ? options.rippleCenter : new THREE.Vector2( 0, 0 );
+	var rippleDamping = options.rippleDamping !== undefined ? options.rippleDamping : 0.985;
+	var rippleStrength = options.rippleStrength !== undefined ? options.rippleStrength : 4.0; // slope scale of the ripples in the normals
 
 	//
 
@@ -63,6 +72,48 @@ THREE.Water = function ( geometry, options ) {
 
 	}
 
+	// Reflection quality, see THREE.Water.QUALITY
+
+	var quality = null;
+	var frame = 0;
+	var cleared = false;
+	var drawingBufferSize = new THREE.Vector2();
+
+	scope.setQuality = function ( name ) {
+
+		if ( THREE.Water.QUALITY[ name ] === undefined ) {
+
+			console.warn( 'THREE.Water: Unknown quality.', name );
+			return;
+
+		}
+
+		scope.quality = name;
+
+		quality = THREE.Water.QUALITY[ name ];
+		frame = 0;
+		cleared = false;
+
+	};
+
+	scope.setQuality( options.quality !== undefined ? options.quality : 'high' );
+
+	// Keeps the mirror at a fraction of the drawing buffer, so it follows setSize and the pixel ratio
+
+	function resizeRenderTarget( renderer ) {
+
+		renderer.getDrawingBufferSize( drawingBufferSize );
+
+		var width = Math.max( 1, Math.floor( drawingBufferSize.x * quality.scale ) );
+		var height = Math.max( 1, Math.floor( drawingBufferSize.y * quality.scale ) );
+
+		if ( width === renderTarget.width && height === renderTarget.height ) return;
+
+		renderTarget.setSize( width, height );
+		renderTarget.texture.generateMipmaps = THREE.Math.isPowerOfTwo( width ) && THREE.Math.isPowerOfTwo( height );
+
+	}
+
 	var mirrorShader = {
 
 		uniforms: THREE.UniformsUtils.merge( [
@@ -79,7 +130,14 @@ THREE.Water = function ( geometry, options ) {
 				"sunColor": { value: new THREE.Color( 0x7F7F7F ) },
 				"sunDirection": { value: new THREE.Vector3( 0.70707, 0.70707, 0 ) },
 				"eye": { value: new THREE.Vector3() },
-				"waterColor": { value: new THREE.Color( 0x555555 ) }
+				"waterColor": { value: new THREE.Color( 0x555555 ) },
+				"windDirection": { value: new THREE.Vector2( 1, 0 ) },
+				"windSpeed": { value: 1.0 },
+				"rippleSampler": { value: null },
+				"rippleCenter": { value: new THREE.Vector2() },
+				"rippleSize": { value: 100.0 },
+				"rippleTexel": { value: 1 / 128 },
+				"rippleStrength": { value: 4.0 }
 			}
 		] ),
 
@@ -117,15 +175,25 @@ THREE.Water = function ( geometry, options ) {
 			'uniform vec3 sunDirection;',
 			'uniform vec3 eye;',
 			'uniform vec3 waterColor;',
+			'uniform vec2 windDirection;',
+			'uniform float windSpeed;',
+			'uniform sampler2D rippleSampler;',
+			'uniform vec2 rippleCenter;',
+			'uniform float rippleSize;',
+			'uniform float rippleTexel;',
+			'uniform float rippleStrength;',
 
 			'varying vec4 mirrorCoord;',
 			'varying vec4 worldPosition;',
 
 			'vec4 getNoise( vec2 uv ) {',
-			'	vec2 uv0 = ( uv / 103.0 ) + vec2(time / 17.0, time / 29.0);',
-			'	vec2 uv1 = uv / 107.0-vec2( time / -19.0, time / 31.0 );',
-			'	vec2 uv2 = uv / vec2( 8907.0, 9803.0 ) + vec2( time / 101.0, time / 97.0 );',
-			'	vec2 uv3 = uv / vec2( 1091.0, 1027.0 ) - vec2( time / 109.0, time / -113.0 );',
+			'	vec2 wind = normalize( windDirection );',
+			'	uv = mat2( wind.x, - wind.y, wind.y, wind.x ) * uv;',
+			'	float t = time * windSpeed;',
+			'	vec2 uv0 = ( uv / 103.0 ) + vec2(t / 17.0, t / 29.0);',
+			'	vec2 uv1 = uv / 107.0-vec2( t / -19.0, t / 31.0 );',
+			'	vec2 uv2 = uv / vec2( 8907.0, 9803.0 ) + vec2( t / 101.0, t / 97.0 );',
+			'	vec2 uv3 = uv / vec2( 1091.0, 1027.0 ) - vec2( t / 109.0, t / -113.0 );',
 			'	vec4 noise = texture2D( normalSampler, uv0 ) +',
 			'		texture2D( normalSampler, uv1 ) +',
 			'		texture2D( normalSampler, uv2 ) +',
@@ -133,6 +201,18 @@ THREE.Water = function ( geometry, options ) {
 			'	return noise * 0.5 - 1.0;',
 			'}',
 
+			// Slope of the ripple height field, flat outside the simulated area
+
+			'vec3 getRipple( vec2 position ) {',
+			'	vec2 uv = ( position - rippleCenter ) / rippleSize + 0.5;',
+			'	if ( any( lessThan( uv, vec2( 0.0 ) ) ) || any( greaterThan( uv, vec2( 1.0 ) ) ) ) return vec3( 0.0 );',
+			'	float left = texture2D( rippleSampler, uv - vec2( rippleTexel, 0.0 ) ).r;',
+			'	float right = texture2D( rippleSampler, uv + vec2( rippleTexel, 0.0 ) ).r;',
+			'	float down = texture2D( rippleSampler, uv - vec2( 0.0, rippleTexel ) ).r;',
+			'	float up = texture2D( rippleSampler, uv + vec2( 0.0, rippleTexel ) ).r;',
+			'	return vec3( left - right, 0.0, down - up ) * rippleStrength;',
+			'}',
+
 			'void sunLight( const vec3 surfaceNormal, const vec3 eyeDirection, float shiny, float spec, float diffuse, inout vec3 diffuseColor, inout vec3 specularColor ) {',
 			'	vec3 reflection = normalize( reflect( -sunDirection, surfaceNormal ) );',
 			'	float direction = max( 0.0, dot( eyeDirection, reflection ) );',
@@ -150,7 +230,7 @@ THREE.Water = function ( geometry, options ) {
 
 			'void main() {',
 			'	vec4 noise = getNoise( worldPosition.xz * size );',
-			'	vec3 surfaceNormal = normalize( noise.xzy * vec3( 1.5, 1.0, 1.5 ) );',
+			'	vec3 surfaceNormal = normalize( noise.xzy * vec3( 1.5, 1.0, 1.5 ) + getRipple( worldPosition.xz ) );',
 
 			'	vec3 diffuseLight = vec3(0.0);',
 			'	vec3 specularLight = vec3(0.0);',
@@ -201,11 +281,136 @@ THREE.Water = function ( geometry, options ) {
 	material.uniforms[ "distortionScale" ].value = distortionScale;
 
 	material.uniforms[ "eye" ].value = eye;
+	material.uniforms[ "size" ].value = size;
+	material.uniforms[ "windDirection" ].value = windDirection;
+	material.uniforms[ "windSpeed" ].value = windSpeed;
+	material.uniforms[ "rippleCenter" ].value = rippleCenter;
+	material.uniforms[ "rippleSize" ].value = rippleSize;
+	material.uniforms[ "rippleTexel" ].value = 1 / rippleResolution;
+	material.uniforms[ "rippleStrength" ].value = rippleStrength;
 
 	scope.material = material;
 
+	// Ripples, a damped height field on the CPU uploaded as a small texture.
+	// Heights are stored around 128 so the shader only needs their differences
+
+	var heights = new Float32Array( rippleResolution * rippleResolution );
+	var previousHeights = new Float32Array( rippleResolution * rippleResolution );
+	var rippleData = new Uint8Array( rippleResolution * rippleResolution ).fill( 128 );
+
+	var rippleTexture = new THREE.DataTexture( rippleData, rippleResolution, rippleResolution, THREE.LuminanceFormat );
+	rippleTexture.magFilter = THREE.LinearFilter;
+	rippleTexture.minFilter = THREE.LinearFilter;
+	rippleTexture.unpackAlignment = 1; // one byte per texel, rows of any length
+	rippleTexture.needsUpdate = true;
+
+	var rippleStep = 1000 / 60; // ms
+	var rippleElapsed = 0;
+	var ripplesActive = false;
+
+	material.uniforms[ "rippleSampler" ].value = rippleTexture;
+
+	// point is in world space, radius in world units
+
+	scope.addRipple = function ( point, strength, radius ) {
+
+		strength = strength !== undefined ? strength : 1.0;
+		radius = radius !== undefined ? radius : 2.0;
+
+		var cells = rippleResolution / rippleSize;
+		var x = ( ( point.x - rippleCenter.x ) / rippleSize + 0.5 ) * rippleResolution;
+		var y = ( ( point.z - rippleCenter.y ) / rippleSize + 0.5 ) * rippleResolution;
+		var r = Math.max( 1, radius * cells );
+
+		for ( var j = Math.max( 0, Math.floor( y - r ) ); j <= Math.min( rippleResolution - 1, Math.ceil( y + r ) ); j ++ ) {
+
+			for ( var i = Math.max( 0, Math.floor( x - r ) ); i <= Math.min( rippleResolution - 1, Math.ceil( x + r ) ); i ++ ) {
+
+				var d = Math.sqrt( ( i - x ) * ( i - x ) + ( j - y ) * ( j - y ) ) / r;
+
+				if ( d < 1 ) heights[ j * rippleResolution + i ] -= strength * 0.5 * ( 1 + Math.cos( Math.PI * d ) );
+
+			}
+
+		}
+
+		ripplesActive = true;
+
+	};
+
+	scope.updateRipples = function ( delta ) {
+
+		if ( ripplesActive === false ) return;
+
+		rippleElapsed = Math.min( rippleElapsed + delta, rippleStep * 4 );
+
+		while ( rippleElapsed >= rippleStep ) {
+
+			THREE.Water.stepRipples( heights, previousHeights, rippleResolution, rippleDamping );
+
+			var swap = heights;
+			heights = previousHeights;
+			previousHeights = swap;
+
+			rippleElapsed -= rippleStep;
+
+		}
+
+		var peak = 0;
+
+		for ( var k = 0; k < heights.length; k ++ ) {
+
+			var height = heights[ k ];
+
+			peak = Math.max( peak, Math.abs( height ) );
+			rippleData[ k ] = THREE.Math.clamp( Math.round( 128 + height * 127 ), 0, 255 );
+
+		}
+
+		// Settle once the ripples have died down
+
+		if ( peak < 0.004 ) {
+
+			heights.fill( 0 );
+			previousHeights.fill( 0 );
+			rippleData.fill( 128 );
+			ripplesActive = false;
+
+		}
+
+		rippleTexture.needsUpdate = true;
+
+	};
+
 	scope.onBeforeRender = function ( renderer, scene, camera ) {
 
+		eye.setFromMatrixPosition( camera.matrixWorld );
+
+		// With reflections off the mirror is cleared once and left alone
+
+		if ( quality.scale === 0 ) {
+
+			if ( cleared === false ) {
+
+				var previousRenderTarget = renderer.getRenderTarget();
+
+				renderer.setRenderTarget( renderTarget );
+				renderer.clear();
+				renderer.setRenderTarget( previousRenderTarget );
+
+				cleared = true;
+
+			}
+
+			return;
+
+		}
+
+		// The texture matrix is only updated along with the mirror, so a stale
+		// reflection still lines up with the texture it was rendered into
+
+		if ( frame ++ % quality.interval !== 0 ) return;
+
 		mirrorWorldPosition.setFromMatrixPosition( scope.matrixWorld );
 		cameraWorldPosition.setFromMatrixPosition( camera.matrixWorld );
 
@@ -216,9 +421,9 @@ THREE.Water = function ( geometry, options ) {
 
 		view.subVectors( mirrorWorldPosition, cameraWorldPosition );
 
-		// Avoid rendering when mirror is facing away
+		// Avoid rendering when mirror is facing away, i.e. the camera is below the water
 
-		if ( view.dot( normal ) > 0 ) return;
+		if ( skipBelowWater && view.dot( normal ) > 0 ) return;
 
 		view.reflect( normal ).negate();
 		view.add( mirrorWorldPosition );
@@ -277,7 +482,7 @@ THREE.Water = function ( geometry, options ) {
 		projectionMatrix.elements[ 10 ] = clipPlane.z + 1.0 - clipBias;
 		projectionMatrix.elements[ 14 ] = clipPlane.w;
 
-		eye.setFromMatrixPosition( camera.matrixWorld );
+		resizeRenderTarget( renderer );
 
 		//
 
@@ -308,3 +513,36 @@ THREE.Water = function ( geometry, options ) {
 
 THREE.Water.prototype = Object.create( THREE.Mesh.prototype );
 THREE.Water.prototype.constructor = THREE.Water;
+
+// Mirror resolution as a fraction of the drawing buffer, and how many frames
+// each reflection is reused for
+
+THREE.Water.QUALITY = {
+	off: { scale: 0, interval: 1 },
+	low: { scale: 0.25, interval: 3 },
+	medium: { scale: 0.5, interval: 2 },
+	high: { scale: 1, interval: 1 }
+};
+
+// One step of the wave equation on an n x n height field with still water
+// around it: the next heights are written over the previous ones, which the
+// caller then swaps with the current heights
+
+THREE.Water.stepRipples = function ( heights, previousHeights, n, damping ) {
+
+	for ( var j = 0; j < n; j ++ ) {
+
+		for ( var i = 0; i < n; i ++ ) {
+
+			var k = j * n + i;
+
+			var sum = ( i > 0 ? heights[ k - 1 ] : 0 ) + ( i < n - 1 ? heights[ k + 1 ] : 0 ) +
+				( j > 0 ? heights[ k - n ] : 0 ) + ( j < n - 1 ? heights[ k + n ] : 0 );
+
+			previousHeights[ k ] = ( sum / 2 - previousHeights[ k ] ) * damping;
+
+		}
+
+	}
+
+};
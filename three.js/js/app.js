@@ -6,154 +6,149 @@ var APP = {
 
 	Player: function () {
 
-		var loader = new THREE.ObjectLoader();
+		var assets = new APP.AssetLoader();
+		var loader = new THREE.ObjectLoader( assets.manager );
+		var playPending = false;
 		var camera, scene, renderer;
-		var water, light, sun, flame;
-		var flame_cycle = 0, flame_val = 0;
+		var water, sun, flame, timeOfDay, atmosphere, audio;
+		var clickRipples = false;
+		var components = [];
+		var controlPanel, cameraController, walkController;
+		var navigation = 'orbit', orbitPose = null, walked = false;
 
-		var events = {};
+		var picker, inspector, frameCapture;
+		var deepLink = false, stateHash = '', stateTime = 0;
+		var resizeObserver = null, pixelRatioQuery = null, windowedSize = null;
+		var pauseWhenHidden = false, playing = false;
+		var hovered = [];
+		var pressed = new THREE.Vector2();
+
+		var scriptRuntime;
+
+		var scope = this;
 
 		var dom = document.createElement( 'div' );
 		this.dom = dom;
 
 		this.width = 500;
 		this.height = 500;
-		this.rotation = {
-			speed: 0.001,
-			active: false,
-			direction: true
-		};
 
-		this.rotation_button = document.getElementById("RotationStartStop");
-		this.rotation_button.onclick = () => this.rotation.active = !(this.rotation.active);
+		// Thin wrappers over the camera controller, speed in radians per second
 
-		this.direction_button = document.getElementById("RotationRedirect");
-		this.direction_button.onclick = () => this.rotation.direction = !(this.rotation.direction);
-
-		this.time_button = document.getElementById("ChangeTime");
-		this.time_button.onclick = () => {
-			console.log(scene);
-			sun.visible = !sun.visible;
-			light.y = sun.visible ? 1 : 0;
-			scene.fog.density = sun.visible ? 0 : 0.025;
+		this.rotation = {
+			get speed() {
+				return cameraController.autoRotateSpeed;
+			},
+			set speed( value ) {
+				cameraController.autoRotateSpeed = value;
+			},
+			get active() {
+				return cameraController.autoRotate;
+			},
+			set active( value ) {
+				cameraController.autoRotate = value;
+			},
+			get direction() {
+				return ! cameraController.autoRotateReverse;
+			},
+			set direction( value ) {
+				cameraController.autoRotateReverse = ! value;
+			}
 		};
 
-		this.speed_slider = document.getElementById("RotationSpeed");
-		this.speed_slider.onchange = (event) => this.rotation.speed = (event.target.valueAsNumber * 0.0002);
+		Object.defineProperty( this, 'zoom', {
 
-		this.speed_slider.value = 50;
+			get: function () {
 
-		this.zoom_slider = document.getElementById("ZoomDepth");
-		this.zoom_slider.onchange = (event) => {
-			// console.log(scene);
-			camera.rotation.x = (event.target.valueAsNumber * -0.004);
-			camera.position.z = (0.5 + event.target.valueAsNumber * 0.2);
-			camera.position.y = (0.5 + (event.target.valueAsNumber * 0.1));
-		};
+				return cameraController.getZoom() * 100;
 
-		this.zoom_slider.value = 50;
+			},
 
-		this.load = function ( json ) {
+			set: function ( value ) {
 
-			renderer = new THREE.WebGLRenderer( { antialias: true } );
-			renderer.gammaOutput = true;
-			renderer.setClearColor( 0x000000 );
-			renderer.setPixelRatio( window.devicePixelRatio );
-
-			var project = json.project;
+				cameraController.setZoom( value / 100 );
 
-			if ( project.shadows ) renderer.shadowMap.enabled = true;
-			if ( project.vr ) renderer.vr.enabled = true;
-
-			dom.appendChild( renderer.domElement );
-
-			this.setScene( loader.parse( json.scene ) );
-			this.setCamera( loader.parse( json.camera ) );
-
-			events = {
-				init: [],
-				start: [],
-				stop: [],
-				keydown: [],
-				keyup: [],
-				mousedown: [],
-				mouseup: [],
-				mousemove: [],
-				touchstart: [],
-				touchend: [],
-				touchmove: [],
-				update: []
-			};
+			}
 
-			var scriptWrapParams = 'player,renderer,scene,camera';
-			var scriptWrapResultObj = {};
+		} );
 
-			for ( var eventKey in events ) {
+		this.assets = assets;
 
-				scriptWrapParams += ',' + eventKey;
-				scriptWrapResultObj[ eventKey ] = eventKey;
+		// play() waits for this
 
-			}
+		assets.addEventListener( 'ready', function () {
 
-			var scriptWrapResult = JSON.stringify( scriptWrapResultObj ).replace( /\"/g, '' );
+			if ( playPending === false ) return;
 
-			for ( var uuid in json.scripts ) {
+			playPending = false;
+			scope.play();
 
-				var object = scene.getObjectByProperty( 'uuid', uuid, true );
+		} );
 
-				if ( object === undefined ) {
+		this.load = function ( json ) {
 
-					console.warn( 'APP.Player: Script without object.', uuid );
-					continue;
+			var project = json.project;
 
-				}
+			renderer = new THREE.WebGLRenderer( { antialias: true } );
+			renderer.setClearColor( 0x000000 );
+			renderer.setPixelRatio( window.devicePixelRatio );
 
-				var scripts = json.scripts[ uuid ];
+			if ( project.shadows ) renderer.shadowMap.enabled = true;
+			if ( project.vr ) renderer.vr.enabled = true;
 
-				for ( var i = 0; i < scripts.length; i ++ ) {
+			APP.RenderSettings.apply( renderer, project.rendering );
 
-					var script = scripts[ i ];
+			dom.appendChild( renderer.domElement );
 
-					var functions = ( new Function( scriptWrapParams, script.source + '\nreturn ' + scriptWrapResult + ';' ).bind( object ) )( this, renderer, scene, camera );
+			frameCapture = new APP.FrameCapture( renderer.domElement );
 
-					for ( var name in functions ) {
+			var controller = project.controller || {};
 
-						if ( functions[ name ] === undefined ) continue;
+			cameraController = new APP.CameraController( renderer.domElement, controller );
+			this.cameraController = cameraController;
 
-						if ( events[ name ] === undefined ) {
+			var walk = project.walk || {};
 
-							console.warn( 'APP.Player: Event type not supported (', name, ')' );
-							continue;
+			walkController = new APP.WalkController( renderer.domElement, walk );
+			this.walkController = walkController;
 
-						}
+			this.setScene( loader.parse( json.scene ) );
+			this.setCamera( loader.parse( json.camera ) );
 
-						events[ name ].push( functions[ name ].bind( object ) );
+			APP.RenderSettings.applyLights( scene, project.rendering );
 
-					}
+			scriptRuntime = new APP.ScriptRuntime( this );
+			scriptRuntime.load( json.scripts, renderer, scene, camera );
 
-				}
+			this.scripts = scriptRuntime;
 
-			}
-			
-			light = new THREE.Vector3(0,1,0); //new THREE.DirectionalLight( 0xffffff, 0.8 );
-			//  scene.add( light );
+			assets.addEventListener( 'progress', forward );
+			assets.addEventListener( 'error', forward );
+			assets.addEventListener( 'ready', forward );
 
 			// Water
 
 			var waterGeometry = new THREE.PlaneBufferGeometry( 1000, 1000 );
+			var waterOptions = project.water || {};
 
 			water = new THREE.Water(
 				waterGeometry,
 				{
-					textureWidth: 512,
-					textureHeight: 512,
-					waterNormals: new THREE.TextureLoader().load( 'waternormals.jpg', function ( texture ) {
+					quality: waterOptions.quality,
+					skipBelowWater: waterOptions.skipBelowWater,
+					size: waterOptions.size,
+					windDirection: waterOptions.windDirection !== undefined ? new THREE.Vector2().fromArray( waterOptions.windDirection ) : undefined,
+					windSpeed: waterOptions.windSpeed,
+					rippleSize: waterOptions.rippleSize,
+					rippleResolution: waterOptions.rippleResolution,
+					rippleDamping: waterOptions.rippleDamping,
+					rippleStrength: waterOptions.rippleStrength,
+					waterNormals: APP.AssetLoader.loadTexture( 'waternormals.jpg', assets.manager, function ( texture ) {
 
 						texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
 
 					} ),
 					alpha: 1.0,
-					sunDirection: light,//light.position.clone().normalize(),
 					sunColor: 0xffffff,
 					waterColor: 0x001e0f,
 					distortionScale: 3.7,
@@ -165,8 +160,13 @@ var APP = {
 
 			water.rotation.x = - Math.PI / 2;
 
+			water.name = 'Water';
 			scene.add( water );
 
+			this.water = water;
+
+			clickRipples = waterOptions.clickRipples === true;
+
 			// Skybox
 
 			var sky = new THREE.Sky();
@@ -178,36 +178,212 @@ var APP = {
 			let fire = env.children.find(c => c.name === "Fire");
 			flame = fire.children.find(c => c.name === "Flame_light");
 
-			var uniforms = sky.material.uniforms;
+			// Components
+
+			components = [];
+
+			for ( var uuid in json.components ) {
+
+				var object = scene.getObjectByProperty( 'uuid', uuid, true );
+
+				if ( object === undefined ) {
+
+					console.warn( 'APP.Player: Component without object.', uuid );
+					continue;
+
+				}
+
+				var entries = json.components[ uuid ];
+
+				for ( var i = 0; i < entries.length; i ++ ) {
+
+					var entry = entries[ i ];
+
+					if ( APP.Player.COMPONENTS.indexOf( entry.type ) === - 1 ) {
+
+						console.warn( 'APP.Player: Component type not supported (', entry.type, ')' );
+						continue;
+
+					}
+
+					components.push( new APP[ entry.type ]( object, entry, scene, assets.manager ) );
+
+				}
+
+			}
+
+			// Time of day
+
+			var flicker = components.find( c => c.light === flame );
+
+			timeOfDay = new APP.TimeOfDay( project.timeOfDay );
+			timeOfDay.attach( sky, water, sun, scene.fog );
+			timeOfDay.addLight( flicker !== undefined ? flicker : flame, 0, 1 );
+
+			// Emitters scale their rate by intensity, just like a light
+
+			components.forEach( function ( component ) {
+
+				if ( component.daylight !== undefined && component.daylight !== null ) {
+
+					timeOfDay.addLight( component, component.daylight[ 0 ], component.daylight[ 1 ] );
+
+				}
+
+			} );
+
+			timeOfDay.addEventListener( 'daybreak', forward );
+			timeOfDay.addEventListener( 'nightfall', forward );
+
+			this.timeOfDay = timeOfDay;
+
+			// Audio, started by the first user gesture
+
+			audio = new APP.AmbientAudio( project.audio );
+			audio.attach( scene, camera, timeOfDay, assets.manager );
+
+			this.audio = audio;
+
+			// Atmosphere
+
+			atmosphere = new APP.Atmosphere( sky, timeOfDay, scene.fog, project.atmosphere );
+
+			this.atmosphere = atmosphere;
+			this.events = scriptRuntime;
+
+			// Camera
+
+			if ( controller.target !== undefined ) {
+
+				cameraController.follow = scene.getObjectByName( controller.target, true ) || null;
+
+				if ( cameraController.follow === null ) console.warn( 'APP.Player: Camera target not found.', controller.target );
+
+			}
+
+			cameraController.setCamera( camera );
+
+			// Walk mode
+
+			var ground = scene.getObjectByName( walk.ground !== undefined ? walk.ground : 'Ground', true );
+
+			if ( ground === undefined ) console.warn( 'APP.Player: Walk ground not found.', walk.ground );
+
+			walkController.setGround( ground || null );
+			walkController.setObstacles( ( walk.obstacles !== undefined ? walk.obstacles : [ 'Structures' ] ).map( function ( name ) {
+
+				return scene.getObjectByName( name, true );
+
+			} ).filter( function ( object ) {
+
+				return object !== undefined;
+
+			} ) );
+			walkController.setCamera( camera );
+
+			// Picking
+
+			var picking = project.picking || {};
+
+			picker = new APP.Picker( picking );
+			picker.load( picking.objects, scene );
+
+			this.picker = picker;
+
+			// Controls
+
+			controlPanel = new APP.ControlPanel( this, scene );
+			controlPanel.load( json.controls );
+
+			dom.insertBefore( controlPanel.dom, renderer.domElement );
 
-			uniforms[ "turbidity" ].value = 10;
-			uniforms[ "rayleigh" ].value = 2;
-			uniforms[ "luminance" ].value = 1;
-			uniforms[ "mieCoefficient" ].value = 0.005;
-			uniforms[ "mieDirectionalG" ].value = 0.8;
+			// Inspector
 
-			var parameters = {
-				distance: 400,
-				inclination: 0,
-				azimuth: 0.205
+			if ( new URLSearchParams( window.location.search ).has( 'inspector' ) ) {
+
+				inspector = new APP.Inspector( this, scene );
+				dom.appendChild( inspector.dom );
+
+			}
+
+			// Resizing and visibility
+
+			if ( project.autoResize === true ) {
+
+				if ( window.ResizeObserver !== undefined ) {
+
+					resizeObserver = new ResizeObserver( onContainerResize );
+
+				} else {
+
+					console.warn( 'APP.Player: ResizeObserver not supported, the host has to call setSize().' );
+
+				}
+
+			}
+
+			pauseWhenHidden = project.pauseWhenHidden === true;
+
+			// Deep link
+
+			deepLink = project.deepLink === true;
+
+			if ( deepLink && window.location.hash !== '' ) {
+
+				this.setState( APP.PlayerState.decode( window.location.hash ) );
+
+			}
+
+			dispatch( 'init', arguments );
+
+			assets.finish( scene );
+
+		};
+
+		this.getState = function () {
+
+			return {
+				rotation: {
+					active: this.rotation.active,
+					direction: this.rotation.direction,
+					speed: this.rotation.speed
+				},
+				camera: navigation === 'walk' ? orbitPose : cameraController.getPose(),
+				time: timeOfDay.time,
+				paused: timeOfDay.paused,
+				mode: navigation,
+				walk: walked ? walkController.getPose() : undefined
 			};
 
-			function updateSun() {
+		};
+
+		// Applies a full or partial state, as returned by getState()
 
-				// var theta = Math.PI * ( parameters.inclination - 0.5 );
-				// var phi = 2 * Math.PI * ( parameters.azimuth - 0.5 );
+		this.setState = function ( state ) {
 
-				// light.position.x = parameters.distance * Math.cos( phi );
-				// light.position.y = parameters.distance * Math.sin( phi ) * Math.sin( theta );
-				// light.position.z = parameters.distance * Math.sin( phi ) * Math.cos( theta );
+			if ( state.rotation !== undefined ) Object.assign( this.rotation, state.rotation );
+			if ( state.mode !== undefined ) this.setNavigation( state.mode );
+
+			// While walking the orbit pose is only restored on the way back
+
+			if ( state.camera !== undefined ) {
+
+				if ( navigation === 'walk' ) orbitPose = state.camera;
+				else cameraController.setPose( state.camera );
+
+			}
+
+			if ( state.walk !== undefined ) {
+
+				walkController.setPose( state.walk );
+				walked = true;
 
-				sky.material.uniforms[ "sunPosition" ].value = light // .position.copy( light.position );
-				water.material.uniforms[ "sunDirection" ].value.copy( light /*.position*/ ).normalize();
 			}
 
-			updateSun();
+			if ( state.time !== undefined ) timeOfDay.setTime( state.time );
+			if ( state.paused !== undefined ) timeOfDay.paused = state.paused;
 
-			dispatch( events.init, arguments );
+			if ( controlPanel !== undefined ) controlPanel.update();
 
 		};
 
@@ -217,6 +393,10 @@ var APP = {
 			camera.aspect = this.width / this.height;
 			camera.updateProjectionMatrix();
 
+			if ( cameraController !== undefined ) cameraController.setCamera( camera );
+			if ( walkController !== undefined ) walkController.setCamera( camera );
+			if ( audio !== undefined ) audio.setCamera( camera );
+
 			if ( renderer.vr.enabled ) {
 
 				dom.appendChild( WEBVR.createButton( renderer ) );
@@ -245,137 +425,489 @@ var APP = {
 
 			if ( renderer ) {
 
+				if ( renderer.getPixelRatio() !== window.devicePixelRatio ) renderer.setPixelRatio( window.devicePixelRatio );
+
 				renderer.setSize( width, height );
 
 			}
 
+			if ( scriptRuntime ) {
+
+				dispatch( 'resize', { width: width, height: height, pixelRatio: window.devicePixelRatio } );
+
+			}
+
 		};
 
-		function dispatch( array, event ) {
+		// Orbit view or first person walk mode
+
+		this.getNavigation = function () {
+
+			return navigation;
+
+		};
+
+		this.setNavigation = function ( mode ) {
+
+			if ( mode !== 'orbit' && mode !== 'walk' ) {
+
+				console.warn( 'APP.Player: Unknown navigation mode.', mode );
+				return;
+
+			}
+
+			if ( mode === navigation ) return;
+
+			navigation = mode;
+
+			if ( mode === 'walk' ) {
+
+				orbitPose = cameraController.getPose();
+				cameraController.enabled = false;
+
+				if ( walked === false ) walkController.lookAt( cameraController.target );
+
+				walked = true;
+				walkController.enabled = true;
+
+			} else {
+
+				walkController.enabled = false;
+				walkController.unlock();
+
+				cameraController.enabled = true;
+				cameraController.setPose( orbitPose );
+
+			}
+
+			dispatch( 'navigationchange', { mode: mode } );
+
+		};
+
+		this.toggleNavigation = function () {
+
+			this.setNavigation( navigation === 'orbit' ? 'walk' : 'orbit' );
+
+		};
+
+		this.isFullscreen = function () {
+
+			return document.fullscreenElement === dom;
+
+		};
+
+		this.setFullscreen = function ( value ) {
+
+			if ( value === this.isFullscreen() ) return Promise.resolve();
+
+			return value ? dom.requestFullscreen() : document.exitFullscreen();
+
+		};
+
+		this.toggleFullscreen = function () {
+
+			return this.setFullscreen( ! this.isFullscreen() );
+
+		};
+
+		// In fullscreen the player itself is the container
+
+		function observeContainer() {
+
+			resizeObserver.disconnect();
+
+			var container = scope.isFullscreen() ? dom : dom.parentElement;
+
+			if ( container !== null ) resizeObserver.observe( container );
+
+		}
+
+		function onContainerResize( entries ) {
+
+			var rect = entries[ 0 ].contentRect;
+			var width = Math.floor( rect.width ), height = Math.floor( rect.height );
+
+			if ( width === 0 || height === 0 ) return;
+			if ( width === scope.width && height === scope.height ) return;
+
+			scope.setSize( width, height );
+
+		}
+
+		// Moving the window to another screen changes the pixel ratio without a resize
+
+		function watchPixelRatio() {
+
+			if ( pixelRatioQuery !== null ) pixelRatioQuery.removeListener( onPixelRatioChange );
+
+			pixelRatioQuery = window.matchMedia( '(resolution: ' + window.devicePixelRatio + 'dppx)' );
+			pixelRatioQuery.addListener( onPixelRatioChange );
+
+		}
+
+		function onPixelRatioChange() {
+
+			scope.setSize( scope.width, scope.height );
+			watchPixelRatio();
+
+		}
+
+		function onFullscreenChange() {
+
+			if ( resizeObserver !== null ) {
+
+				observeContainer();
+
+			} else if ( scope.isFullscreen() ) {
 
-			for ( var i = 0, l = array.length; i < l; i ++ ) {
+				windowedSize = [ scope.width, scope.height ];
+				scope.setSize( window.screen.width, window.screen.height );
 
-				array[ i ]( event );
+			} else if ( windowedSize !== null ) {
+
+				scope.setSize( windowedSize[ 0 ], windowedSize[ 1 ] );
+				windowedSize = null;
+
+			}
+
+		}
+
+		function dispatch( type, event, object ) {
+
+			scriptRuntime.dispatch( type, event, object );
+
+		}
+
+		function updateHash() {
+
+			var hash = APP.PlayerState.encode( scope.getState() );
+
+			if ( hash !== stateHash ) {
+
+				window.history.replaceState( null, '', hash );
+				stateHash = hash;
+
+			}
+
+			stateTime = time;
+
+		}
+
+		function onHashChange() {
+
+			if ( window.location.hash !== stateHash ) scope.setState( APP.PlayerState.decode( window.location.hash ) );
+
+		}
+
+		function forward( event ) {
+
+			dispatch( event.type, event );
+
+		}
+
+		// Raycasts the scripted objects that listen to pointerenter/pointerleave
+
+		function updateHover( event ) {
+
+			var objects = scriptRuntime.getObjects( APP.ScriptRuntime.OBJECT_EVENTS );
+			var current = [];
+
+			if ( objects.length === 0 && hovered.length === 0 ) return;
+
+			if ( event.target === renderer.domElement ) {
+
+				var position = pointerPosition( event.clientX, event.clientY );
+				var intersects = picker.raycast( position.x, position.y, camera, renderer.domElement, objects );
+
+				// The hit object and its scripted ancestors are all hovered
+
+				var object = intersects.length > 0 ? intersects[ 0 ].object : null;
+
+				while ( object !== null ) {
+
+					if ( objects.indexOf( object ) !== - 1 ) current.push( object );
+
+					object = object.parent;
+
+				}
 
 			}
 
+			for ( var i = 0; i < hovered.length; i ++ ) {
+
+				if ( current.indexOf( hovered[ i ] ) === - 1 ) dispatch( 'pointerleave', { object: hovered[ i ], originalEvent: event }, hovered[ i ] );
+
+			}
+
+			for ( var i = 0; i < current.length; i ++ ) {
+
+				if ( hovered.indexOf( current[ i ] ) === - 1 ) dispatch( 'pointerenter', { object: current[ i ], point: intersects[ 0 ].point, originalEvent: event }, current[ i ] );
+
+			}
+
+			hovered = current;
+
+		}
+
+		// Under pointer lock the cursor is hidden and its client position frozen,
+		// so the walk camera picks what is in the middle of the view
+
+		function pointerPosition( clientX, clientY ) {
+
+			if ( document.pointerLockElement !== renderer.domElement ) return new THREE.Vector2( clientX, clientY );
+
+			var rect = renderer.domElement.getBoundingClientRect();
+
+			return new THREE.Vector2( rect.left + rect.width / 2, rect.top + rect.height / 2 );
+
+		}
+
+		function updatePick( clientX, clientY, target ) {
+
+			var position = pointerPosition( clientX, clientY );
+			var hit = target === renderer.domElement ? picker.pick( position.x, position.y, camera, renderer.domElement ) : null;
+
+			picker.setHovered( hit !== null ? hit.object : null );
+			renderer.domElement.style.cursor = hit !== null ? 'pointer' : '';
+
+			return hit;
+
+		}
+
+		// A press that barely moved selects, anything longer is a camera drag
+
+		function select( clientX, clientY, target ) {
+
+			if ( target !== renderer.domElement || pressed.distanceTo( new THREE.Vector2( clientX, clientY ) ) > 5 ) return;
+
+			var position = pointerPosition( clientX, clientY );
+			var hit = picker.pick( position.x, position.y, camera, renderer.domElement );
+
+			if ( hit === null && clickRipples ) {
+
+				var intersects = picker.raycast( position.x, position.y, camera, renderer.domElement, [ water ] );
+
+				if ( intersects.length > 0 ) water.addRipple( intersects[ 0 ].point );
+
+			}
+
+			picker.setSelected( hit !== null ? hit.object : null );
+
+			dispatch( 'select', {
+				object: hit !== null ? hit.object : null,
+				point: hit !== null ? hit.point : null
+			} );
+
 		}
 
 		var time, prevTime;
+		var clock = null, fixedStep = null;
+
+		function now() {
+
+			return clock !== null ? clock() : performance.now();
+
+		}
 
 		function animate() {
 
-			time = performance.now();
-			let flame_lick = function() {
-				let flame_intensity = () => {
-					let val = Math.random()/50;
-					switch (flame_cycle) {
-					case 0: {
-						if (flame_val > 1.5) {
-							flame_cycle++;
-						} else {
-							return flame_val + val;
-						}
-						return flame_val;
-					}
-					case 1: {
-						if (flame_val < 1) {
-							flame_cycle++;
-						} else {
-							return flame_val - val;
-						}
-						return flame_val;
-					}
-					case 2: {
-						if (flame_val > 2) {
-							flame_cycle++;
-						} else {
-							return flame_val + val;
-						}
-						return flame_val;
-					}
-					case 3: {
-						if (flame_val < 1) {
-							flame_cycle++;
-						} else {
-							return flame_val - val;
-						}
-						return flame_val;
-					}
-					case 4: {
-						if (flame_val > 1.5) {
-							flame_cycle++;
-						} else {
-							return flame_val + val;
-						}
-						return flame_val;
-					}
-					case 5: {
-						if (flame_val < 0.5) {
-							flame_cycle = 0;
-						} else {
-							return flame_val - val;
-						}
-						return flame_val;
-					}
-					default: {
-						return flame_val;
-					}
+			frame( fixedStep !== null ? prevTime + fixedStep : now() );
+
+		}
+
+		// Everything advances by the same simulated delta, in milliseconds
+
+		function frame( value ) {
+
+			time = value;
+
+			var delta = time - prevTime;
+
+			dispatch( 'update', { time: time, delta: delta } );
+
+			try {
+
+				if ( navigation === 'walk' ) {
+
+					walkController.update( delta );
+
+				} else {
+
+					cameraController.update( delta );
+
 				}
-				};
-				flame_val = sun.visible ? 0 : flame_intensity();
-				flame.intensity = sun.visible ? 0 : flame_val + Math.random()/5;
-				if (!sun.visible) {
-					scene.fog.density = 0.025 + (0.025/flame_val)/5;
-					flame.distance = flame_val * 10;
+
+				water.material.uniforms[ "time" ].value += 0.075 * delta / 1000;
+				water.updateRipples( delta );
+				atmosphere.update( delta );
+				timeOfDay.update( delta );
+
+				for ( var i = 0, l = components.length; i < l; i ++ ) {
+
+					components[ i ].update( delta );
+
 				}
-			}
 
-			try {
+				audio.update();
 
-				dispatch( events.update, { time: time, delta: time - prevTime } );
-				water.material.uniforms[ "time" ].value += 0.075 / 60.0;
-				flame_lick();
 			} catch ( e ) {
 				console.error( ( e.message || e ), ( e.stack || "" ) );
 			}
 
+			dispatch( 'beforeRender', { time: time, delta: delta } );
+
 			renderer.render( scene, camera );
+			frameCapture.onFrame();
+
+			dispatch( 'afterRender', { time: time, delta: delta } );
+
+			if ( deepLink && time - stateTime > 500 ) updateHash();
 
 			prevTime = time;
 
 		}
 
+		// Replaces performance.now() as the time source, null restores it
+
+		this.setClock = function ( value ) {
+
+			clock = value;
+			prevTime = now();
+			stateTime = prevTime;
+
+		};
+
+		// Advances by a fixed step per frame instead of real time, null restores it
+
+		this.setFixedStep = function ( value ) {
+
+			fixedStep = value;
+
+		};
+
+		// Renders frames synchronously, meant for a stopped player
+
+		this.step = function ( frames ) {
+
+			if ( prevTime === undefined ) prevTime = now();
+
+			for ( var i = 0; i < ( frames !== undefined ? frames : 1 ); i ++ ) {
+
+				frame( prevTime + ( fixedStep !== null ? fixedStep : 1000 / 60 ) );
+
+			}
+
+		};
+
+		// Steps a stopped player and resolves with a PNG blob per frame
+
+		this.captureFrames = function ( frames ) {
+
+			var captures = [];
+
+			for ( var i = 0; i < frames; i ++ ) {
+
+				captures.push( frameCapture.capture() );
+				this.step( 1 );
+
+			}
+
+			return Promise.all( captures );
+
+		};
+
+		this.startRecording = function ( options ) {
+
+			frameCapture.startRecording( options );
+
+		};
+
+		this.stopRecording = function () {
+
+			return frameCapture.stopRecording();
+
+		};
+
 		this.play = function () {
 
-			prevTime = performance.now();
+			if ( assets.ready === false ) {
+
+				playPending = true;
+				return;
+
+			}
+
+			prevTime = now();
 
 			document.addEventListener( 'keydown', onDocumentKeyDown );
 			document.addEventListener( 'keyup', onDocumentKeyUp );
 			document.addEventListener( 'mousedown', onDocumentMouseDown );
 			document.addEventListener( 'mouseup', onDocumentMouseUp );
 			document.addEventListener( 'mousemove', onDocumentMouseMove );
+			document.addEventListener( 'wheel', onDocumentWheel );
 			document.addEventListener( 'touchstart', onDocumentTouchStart );
 			document.addEventListener( 'touchend', onDocumentTouchEnd );
 			document.addEventListener( 'touchmove', onDocumentTouchMove );
+			document.addEventListener( 'visibilitychange', onDocumentVisibilityChange );
+
+			document.addEventListener( 'fullscreenchange', onFullscreenChange );
+
+			if ( deepLink ) window.addEventListener( 'hashchange', onHashChange );
+
+			if ( resizeObserver !== null ) observeContainer();
+
+			watchPixelRatio();
+
+			playing = true;
+
+			if ( audio.started ) audio.resume();
 
-			dispatch( events.start, arguments );
-			renderer.setAnimationLoop( animate );
+			dispatch( 'start', arguments );
+
+			if ( pauseWhenHidden === false || document.hidden === false ) renderer.setAnimationLoop( animate );
 
 		};
 
 		this.stop = function () {
 
+			if ( playPending ) {
+
+				playPending = false;
+				return;
+
+			}
+
 			document.removeEventListener( 'keydown', onDocumentKeyDown );
 			document.removeEventListener( 'keyup', onDocumentKeyUp );
 			document.removeEventListener( 'mousedown', onDocumentMouseDown );
 			document.removeEventListener( 'mouseup', onDocumentMouseUp );
 			document.removeEventListener( 'mousemove', onDocumentMouseMove );
+			document.removeEventListener( 'wheel', onDocumentWheel );
 			document.removeEventListener( 'touchstart', onDocumentTouchStart );
 			document.removeEventListener( 'touchend', onDocumentTouchEnd );
 			document.removeEventListener( 'touchmove', onDocumentTouchMove );
+			document.removeEventListener( 'visibilitychange', onDocumentVisibilityChange );
+
+			document.removeEventListener( 'fullscreenchange', onFullscreenChange );
 
-			dispatch( events.stop, arguments );
+			if ( deepLink ) window.removeEventListener( 'hashchange', onHashChange );
+
+			if ( resizeObserver !== null ) resizeObserver.disconnect();
+
+			if ( pixelRatioQuery !== null ) {
+
+				pixelRatioQuery.removeListener( onPixelRatioChange );
+				pixelRatioQuery = null;
+
+			}
+
+			playing = false;
+
+			audio.suspend();
+
+			walkController.unlock();
+
+			dispatch( 'stop', arguments );
 
 			renderer.setAnimationLoop( null );
 
@@ -383,13 +915,17 @@ var APP = {
 
 		this.dispose = function () {
 
+			if ( controlPanel !== undefined ) controlPanel.dispose();
+
+			if ( inspector !== undefined ) inspector.dispose();
+
 			while ( dom.children.length ) {
 
 				dom.removeChild( dom.firstChild );
 
 			}
 
-			renderer.dispose();
+			if ( renderer !== undefined ) renderer.dispose();
 
 			camera = undefined;
 			scene = undefined;
@@ -399,54 +935,143 @@ var APP = {
 
 		//
 
+		function startAudio() {
+
+			if ( playing && audio.started === false ) audio.start();
+
+		}
+
+		// Keys typed into the inspector or other form fields are not for the player
+
+		function isTyping( event ) {
+
+			var target = event.target;
+
+			return target !== null && target !== undefined && ( target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable === true );
+
+		}
+
 		function onDocumentKeyDown( event ) {
 
-			dispatch( events.keydown, event );
+			if ( isTyping( event ) ) return;
+
+			startAudio();
+
+			walkController.onKeyDown( event );
+			dispatch( 'keydown', event );
 
 		}
 
 		function onDocumentKeyUp( event ) {
 
-			dispatch( events.keyup, event );
+			walkController.onKeyUp( event ); // releases a key held down before the field got focus
+
+			if ( isTyping( event ) ) return;
+
+			dispatch( 'keyup', event );
 
 		}
 
 		function onDocumentMouseDown( event ) {
 
-			dispatch( events.mousedown, event );
+			startAudio();
+
+			cameraController.onMouseDown( event );
+			walkController.onMouseDown( event );
+			dispatch( 'mousedown', event );
+			pressed.set( event.clientX, event.clientY );
 
 		}
 
 		function onDocumentMouseUp( event ) {
 
-			dispatch( events.mouseup, event );
+			cameraController.onMouseUp( event );
+			dispatch( 'mouseup', event );
+			select( event.clientX, event.clientY, event.target );
 
 		}
 
 		function onDocumentMouseMove( event ) {
 
-			dispatch( events.mousemove, event );
+			cameraController.onMouseMove( event );
+			walkController.onMouseMove( event );
+			dispatch( 'mousemove', event );
+			updateHover( event );
+			updatePick( event.clientX, event.clientY, event.target );
+
+		}
+
+		function onDocumentWheel( event ) {
+
+			cameraController.onWheel( event );
+			dispatch( 'wheel', event );
 
 		}
 
 		function onDocumentTouchStart( event ) {
 
-			dispatch( events.touchstart, event );
+			startAudio();
+
+			cameraController.onTouchStart( event );
+			dispatch( 'touchstart', event );
+
+			if ( event.touches.length === 1 ) pressed.set( event.touches[ 0 ].clientX, event.touches[ 0 ].clientY );
 
 		}
 
 		function onDocumentTouchEnd( event ) {
 
-			dispatch( events.touchend, event );
+			cameraController.onTouchEnd( event );
+			dispatch( 'touchend', event );
+
+			if ( event.touches.length === 0 && event.changedTouches.length === 1 ) {
+
+				var touch = event.changedTouches[ 0 ];
+
+				updatePick( touch.clientX, touch.clientY, event.target );
+				select( touch.clientX, touch.clientY, event.target );
+
+			}
 
 		}
 
 		function onDocumentTouchMove( event ) {
 
-			dispatch( events.touchmove, event );
+			cameraController.onTouchMove( event );
+			dispatch( 'touchmove', event );
+
+		}
+
+		function onDocumentVisibilityChange( event ) {
+
+			// Resume without catching up on the time spent hidden
+
+			if ( pauseWhenHidden && playing ) {
+
+				if ( document.hidden ) {
+
+					renderer.setAnimationLoop( null );
+					audio.suspend();
+
+				} else {
+
+					prevTime = now();
+					renderer.setAnimationLoop( animate );
+					if ( audio.started ) audio.resume();
+
+				}
+
+			}
+
+			dispatch( 'visibilitychange', event );
 
 		}
 
 	}
 
 };
+
+// Component types app.json may attach to objects, constructed as
+// new APP[ type ]( object, entry, scene, manager )
+
+APP.Player.COMPONENTS = [ 'LightFlicker', 'ParticleEmitter' ];
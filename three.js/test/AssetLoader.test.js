@@ -0,0 +1,71 @@
+var test = require( 'node:test' );
+var assert = require( 'assert' );
+var load = require( './load.js' );
+
+var APP = load( [ 'AssetLoader.js' ] ).APP;
+
+function record( assets ) {
+
+	var events = [];
+
+	[ 'progress', 'ready' ].forEach( function ( type ) {
+
+		assets.addEventListener( type, function ( event ) {
+
+			events.push( type === 'progress' ? [ type, event.url, event.loaded, event.total ] : [ type ] );
+
+		} );
+
+	} );
+
+	return events;
+
+}
+
+test( 'ready waits for the loads started before finish', function () {
+
+	var assets = new APP.AssetLoader();
+	var events = record( assets );
+
+	assets.manager.itemStart( 'a.jpg' );
+	assets.manager.itemStart( 'b.jpg' );
+	assets.manager.itemEnd( 'a.jpg' );
+	assets.finish( null );
+
+	assert.strictEqual( assets.ready, false );
+
+	assets.manager.itemEnd( 'b.jpg' );
+
+	assert.strictEqual( assets.ready, true );
+	assert.deepStrictEqual( events, [
+		[ 'progress', 'a.jpg', 1, 2 ],
+		[ 'progress', 'b.jpg', 2, 2 ],
+		[ 'ready' ]
+	] );
+
+} );
+
+test( 'ready is immediate without pending loads', function () {
+
+	var assets = new APP.AssetLoader();
+	var events = record( assets );
+
+	assets.finish( null );
+
+	assert.deepStrictEqual( events, [ [ 'ready' ] ] );
+
+} );
+
+test( 'loads after ready do not dispatch progress or ready again', function () {
+
+	var assets = new APP.AssetLoader();
+	var events = record( assets );
+
+	assets.finish( null );
+	assets.manager.itemStart( 'wind.ogg' );
+	assets.manager.itemEnd( 'wind.ogg' );
+
+	assert.deepStrictEqual( events, [ [ 'ready' ] ] );
+	assert.strictEqual( assets.pending, false );
+
+} );
@@ -0,0 +1,152 @@
+var test = require( 'node:test' );
+var assert = require( 'assert' );
+var load = require( './load.js' );
+
+var context = load( [ 'TimeOfDay.js', 'Atmosphere.js' ] );
+var APP = context.APP;
+var THREE = context.THREE;
+
+var PRESETS = {
+	noon: { turbidity: 10, rayleigh: 2, inclination: 0, fogColor: 0x000000, fogDensity: { day: 0, night: 0.02 } },
+	dusk: { turbidity: 2, rayleigh: 4, inclination: 0.4, azimuth: 0.5, fogColor: 0xffffff, fogDensity: { day: 0.01 } }
+};
+
+function near( actual, expected, message ) {
+
+	assert.ok( Math.abs( actual - expected ) < 1e-9, ( message || '' ) + ' ' + actual + ' != ' + expected );
+
+}
+
+function createSky() {
+
+	var uniforms = { sunPosition: { value: new THREE.Vector3() } };
+
+	APP.Atmosphere.UNIFORMS.forEach( function ( key ) {
+
+		uniforms[ key ] = { value: 0 };
+
+	} );
+
+	return { material: { uniforms: uniforms } };
+
+}
+
+function create( parameters, time ) {
+
+	var sky = createSky();
+	var fog = new THREE.FogExp2( 0x000000, 0 );
+	var timeOfDay = new APP.TimeOfDay( { time: time !== undefined ? time : 0.5 } );
+
+	timeOfDay.sky = sky;
+	timeOfDay.fog = fog;
+
+	return {
+		sky: sky,
+		fog: fog,
+		timeOfDay: timeOfDay,
+		atmosphere: new APP.Atmosphere( sky, timeOfDay, fog, Object.assign( { presets: PRESETS }, parameters ) )
+	};
+
+}
+
+test( 'the startup preset is applied at once and keeps the start time', function () {
+
+	var scene = create( { preset: 'dusk' }, 0.375 );
+	var uniforms = scene.sky.material.uniforms;
+
+	assert.strictEqual( scene.atmosphere.preset, 'dusk' );
+	assert.strictEqual( scene.atmosphere.blend, 1 );
+	assert.strictEqual( uniforms.turbidity.value, 2 );
+	assert.strictEqual( uniforms.rayleigh.value, 4 );
+	assert.strictEqual( uniforms.mieCoefficient.value, APP.Atmosphere.DEFAULT.mieCoefficient );
+	assert.strictEqual( scene.fog.color.getHex(), 0xffffff );
+	assert.deepStrictEqual( JSON.parse( JSON.stringify( scene.timeOfDay.fogDensity ) ), { day: 0.01, night: 0.025 } );
+
+	assert.strictEqual( scene.timeOfDay.time, 0.375 );
+
+} );
+
+test( 'the startup preset places the sun at its azimuth before the first frame', function () {
+
+	var scene = create( { preset: 'dusk' }, 0.375 );
+	var direction = scene.timeOfDay.sunDirection;
+
+	assert.strictEqual( scene.timeOfDay.azimuth, 0.5 );
+	near( direction.x, - Math.sin( - Math.PI / 4 ) );
+	near( direction.z, 0 );
+	near( scene.sky.material.uniforms.sunPosition.value.x, 400 * direction.x );
+
+} );
+
+test( 'switching presets blends from the current state over the duration', function () {
+
+	var scene = create( { preset: 'noon' } );
+	var uniforms = scene.sky.material.uniforms;
+
+	scene.atmosphere.setPreset( 'dusk', 2 );
+
+	assert.strictEqual( scene.atmosphere.blend, 0 );
+	assert.strictEqual( uniforms.turbidity.value, 10 );
+	near( scene.timeOfDay.getInclination(), 0 );
+
+	scene.atmosphere.update( 1000 );
+
+	assert.strictEqual( scene.atmosphere.blend, 0.5 );
+	assert.strictEqual( uniforms.turbidity.value, 6 );
+	assert.strictEqual( uniforms.rayleigh.value, 3 );
+	near( scene.timeOfDay.getInclination(), 0.2 );
+	near( scene.timeOfDay.azimuth, 0.5 * ( 0.205 + 0.5 ) );
+	near( scene.timeOfDay.fogDensity.day, 0.005 );
+	near( scene.timeOfDay.fogDensity.night, 0.02 );
+	near( scene.fog.color.r, 0.5 );
+
+	scene.atmosphere.update( 1000 );
+
+	assert.strictEqual( scene.atmosphere.blend, 1 );
+	assert.strictEqual( uniforms.turbidity.value, 2 );
+	near( scene.timeOfDay.getInclination(), 0.4 );
+
+} );
+
+test( 'the sun takes the short way round to the preset inclination', function () {
+
+	var presets = { late: { inclination: 0.9 }, early: { inclination: - 0.9 } };
+	var scene = create( { presets: presets, preset: 'late' } );
+
+	scene.atmosphere.setPreset( 'late', 0 );
+	scene.atmosphere.setPreset( 'early', 2 );
+	scene.atmosphere.update( 1000 );
+
+	near( scene.timeOfDay.time, 0, 'through midnight' );
+
+	scene.atmosphere.update( 1000 );
+
+	near( scene.timeOfDay.getInclination(), - 0.9 );
+
+} );
+
+test( 'next cycles through the presets in declaration order', function () {
+
+	var scene = create( { preset: 'noon', duration: 0 } );
+
+	scene.atmosphere.next();
+	assert.strictEqual( scene.atmosphere.preset, 'dusk' );
+
+	scene.atmosphere.next();
+	assert.strictEqual( scene.atmosphere.preset, 'noon' );
+	assert.strictEqual( scene.sky.material.uniforms.turbidity.value, 10 );
+
+} );
+
+test( 'an unknown preset warns and falls back to the default sky', function ( t ) {
+
+	var warn = t.mock.method( console, 'warn', function () {} );
+	var scene = create( { preset: 'dusk' } );
+
+	scene.atmosphere.setPreset( 'missing', 0 );
+
+	assert.strictEqual( warn.mock.callCount(), 1 );
+	assert.strictEqual( scene.sky.material.uniforms.turbidity.value, APP.Atmosphere.DEFAULT.turbidity );
+	assert.strictEqual( scene.fog.color.getHex(), 0xffffff );
+
+} );
@@ -0,0 +1,28 @@
+var test = require( 'node:test' );
+var assert = require( 'assert' );
+var load = require( './load.js' );
+
+var APP = load( [ 'Random.js', 'LightFlicker.js' ] ).APP;
+
+test( 'a seeded flicker drives a light the same way every time', function () {
+
+	function run() {
+
+		var light = { intensity: 2, distance: 10 };
+		var flicker = new APP.LightFlicker( light, { seed: 3, distance: [ [ 0, 5 ], [ 2, 15 ] ] } );
+		var frames = [];
+
+		for ( var i = 0; i < 60; i ++ ) {
+
+			flicker.update( 16 );
+			frames.push( [ light.intensity, light.distance ] );
+
+		}
+
+		return frames;
+
+	}
+
+	assert.deepStrictEqual( run(), run() );
+
+} );
@@ -0,0 +1,83 @@
+var test = require( 'node:test' );
+var assert = require( 'assert' );
+var load = require( './load.js' );
+
+var APP = load( [ 'PlayerState.js' ] ).APP;
+
+test( 'a full state survives an encode and decode round trip', function () {
+
+	var state = {
+		rotation: { active: true, direction: false, speed: 0.06 },
+		camera: { radius: 14.4, phi: 1.216, theta: - 0.52 },
+		time: 0.75,
+		paused: true
+	};
+
+	var hash = APP.PlayerState.encode( state );
+
+	assert.strictEqual( hash, '#rotation=1,0,0.06&camera=14.4,1.216,-0.52&time=0.75,1' );
+	assert.deepStrictEqual( JSON.parse( JSON.stringify( APP.PlayerState.decode( hash ) ) ), state );
+
+} );
+
+test( 'encode rounds to four decimals', function () {
+
+	var hash = APP.PlayerState.encode( { camera: { radius: 1 / 3, phi: 2 / 3, theta: 0 } } );
+
+	assert.strictEqual( hash, '#camera=0.3333,0.6667,0' );
+
+} );
+
+test( 'encode leaves out missing parts', function () {
+
+	assert.strictEqual( APP.PlayerState.encode( { time: 0.5, paused: false } ), '#time=0.5,0' );
+	assert.strictEqual( APP.PlayerState.encode( {} ), '#' );
+
+} );
+
+test( 'decode skips unknown and malformed entries', function () {
+
+	var state = APP.PlayerState.decode( '#foo=1&camera=1,x,3&rotation=1,1&time=0.25' );
+
+	assert.deepStrictEqual( JSON.parse( JSON.stringify( state ) ), { time: 0.25 } );
+
+} );
+
+test( 'decode of an empty hash is an empty state', function () {
+
+	assert.deepStrictEqual( JSON.parse( JSON.stringify( APP.PlayerState.decode( '' ) ) ), {} );
+
+} );
+
+test( 'decode skips entries without a value', function () {
+
+	var state = APP.PlayerState.decode( '#time=&camera&rotation=1,,0.06&time=0.5,&mode=' );
+
+	assert.deepStrictEqual( JSON.parse( JSON.stringify( state ) ), {} );
+
+} );
+
+test( 'decode skips entries that are not finite', function () {
+
+	var state = APP.PlayerState.decode( '#time=Infinity&camera=1,-Infinity,3&walk=1,2,NaN,0&rotation=1,0,0.01' );
+
+	assert.deepStrictEqual( JSON.parse( JSON.stringify( state ) ), { rotation: { active: true, direction: false, speed: 0.01 } } );
+
+} );
+
+test( 'the navigation mode and walk pose survive a round trip', function () {
+
+	var state = { mode: 'walk', walk: { x: 2.5, z: - 4, yaw: 0.8, pitch: - 0.1 } };
+
+	var hash = APP.PlayerState.encode( state );
+
+	assert.strictEqual( hash, '#mode=walk&walk=2.5,-4,0.8,-0.1' );
+	assert.deepStrictEqual( JSON.parse( JSON.stringify( APP.PlayerState.decode( hash ) ) ), state );
+
+} );
+
+test( 'decode ignores unknown navigation modes', function () {
+
+	assert.deepStrictEqual( JSON.parse( JSON.stringify( APP.PlayerState.decode( '#mode=fly&walk=1,2,3' ) ) ), {} );
+
+} );
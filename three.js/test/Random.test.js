@@ -0,0 +1,56 @@
+var test = require( 'node:test' );
+var assert = require( 'assert' );
+var load = require( './load.js' );
+
+var APP = load( [ 'Random.js' ] ).APP;
+
+function take( random, count ) {
+
+	var values = [];
+
+	for ( var i = 0; i < count; i ++ ) values.push( random() );
+
+	return values;
+
+}
+
+test( 'createRandom plays back the same sequence for a seed', function () {
+
+	assert.deepStrictEqual( take( APP.Random.createRandom( 42 ), 16 ), take( APP.Random.createRandom( 42 ), 16 ) );
+
+} );
+
+test( 'createRandom gives different sequences for different seeds', function () {
+
+	assert.notDeepStrictEqual( take( APP.Random.createRandom( 1 ), 16 ), take( APP.Random.createRandom( 2 ), 16 ) );
+
+} );
+
+test( 'createRandom stays in [ 0, 1 )', function () {
+
+	take( APP.Random.createRandom( 7 ), 1000 ).forEach( function ( value ) {
+
+		assert.ok( value >= 0 && value < 1, value );
+
+	} );
+
+} );
+
+test( 'sample interpolates between keys and clamps outside them', function () {
+
+	var curve = [ [ 0, 0.2 ], [ 1, 1 ], [ 2, 0 ] ];
+
+	assert.strictEqual( APP.Random.sample( curve, 0 ), 0.2 );
+	assert.strictEqual( APP.Random.sample( curve, 0.5 ), 0.6 );
+	assert.strictEqual( APP.Random.sample( curve, 1 ), 1 );
+	assert.strictEqual( APP.Random.sample( curve, 1.5 ), 0.5 );
+	assert.strictEqual( APP.Random.sample( curve, - 1 ), 0.2 );
+	assert.strictEqual( APP.Random.sample( curve, 3 ), 0 );
+
+} );
+
+test( 'sample of a single key is constant', function () {
+
+	assert.strictEqual( APP.Random.sample( [ [ 1, 0.7 ] ], 5 ), 0.7 );
+
+} );
@@ -0,0 +1,277 @@
+var test = require( 'node:test' );
+var assert = require( 'assert' );
+var load = require( './load.js' );
+
+var context = load( [ 'ScriptRuntime.js' ] );
+var APP = context.APP;
+var THREE = context.THREE;
+
+function createScene() {
+
+	var scene = new THREE.Scene();
+	var object = new THREE.Object3D();
+
+	object.uuid = 'object-1';
+	scene.add( object );
+
+	return scene;
+
+}
+
+function createRuntime( scripts ) {
+
+	var runtime = new APP.ScriptRuntime( {} );
+
+	runtime.load( { 'object-1': scripts }, null, createScene(), null );
+
+	return runtime;
+
+}
+
+function silence( t ) {
+
+	return {
+		warn: t.mock.method( console, 'warn', function () {} ),
+		error: t.mock.method( console, 'error', function () {} )
+	};
+
+}
+
+test( 'handlers are bound to their object and receive the event', function () {
+
+	var runtime = createRuntime( [
+		{ name: 'Spin', source: 'function update( event ) { this.rotation.y += event.delta; }' }
+	] );
+	var object = runtime.getScripts()[ 0 ].object;
+
+	runtime.dispatch( 'update', { delta: 0.5 } );
+
+	assert.strictEqual( object.rotation.y, 0.5 );
+
+} );
+
+test( 'a script that fails to load is reported and skipped', function ( t ) {
+
+	var log = silence( t );
+	var runtime = createRuntime( [
+		{ name: 'Broken', source: 'function update( {' },
+		{ name: 'Counter', source: 'var count = 0; function update() { this.userData.count = ++ count; }' }
+	] );
+
+	runtime.dispatch( 'update', {} );
+
+	assert.strictEqual( log.error.mock.callCount(), 1 );
+	assert.match( log.error.mock.calls[ 0 ].arguments[ 0 ], /Failed to load script "Broken" \(object-1\)/ );
+	assert.strictEqual( runtime.getScripts()[ 1 ].object.userData.count, 1 );
+
+} );
+
+test( 'a throwing handler is reported once and does not stop the others', function ( t ) {
+
+	var log = silence( t );
+	var runtime = createRuntime( [
+		{ name: 'Thrower', source: 'function update() { throw new Error( "boom" ); }' },
+		{ name: 'Counter', source: 'var count = 0; function update() { this.userData.count = ++ count; }' }
+	] );
+
+	runtime.dispatch( 'update', {} );
+	runtime.dispatch( 'update', {} );
+
+	assert.strictEqual( log.error.mock.callCount(), 1 );
+	assert.match( log.error.mock.calls[ 0 ].arguments[ 0 ], /Error in update of script "Thrower" \(object-1\)/ );
+	assert.strictEqual( runtime.getScripts()[ 1 ].object.userData.count, 2 );
+
+} );
+
+test( 'validate warns about handlers the player never calls', function ( t ) {
+
+	var log = silence( t );
+	var runtime = new APP.ScriptRuntime( {} );
+	var script = { name: 'Typos', uuid: 'object-1' };
+
+	runtime.validate( script, 'function onUpdate() {}\nfunction keyDown() {}\nfunction update() {}', {
+		update: function () {},
+		keydown: undefined,
+		wheel: 1,
+		tick: function () {}
+	} );
+
+	var messages = log.warn.mock.calls.map( function ( call ) {
+
+		return call.arguments.join( ' ' );
+
+	} );
+
+	assert.deepStrictEqual( messages, [
+		'APP.ScriptRuntime: Handler is not a function ( wheel ) in script "Typos" (object-1)',
+		'APP.ScriptRuntime: Event type not supported ( tick ) in script "Typos" (object-1)',
+		'APP.ScriptRuntime: Function onUpdate is never called ( did you mean update ) in script "Typos" (object-1)',
+		'APP.ScriptRuntime: Function keyDown is never called ( did you mean keydown ) in script "Typos" (object-1)'
+	] );
+
+} );
+
+test( 'on, off and emit deliver custom events', function () {
+
+	var runtime = new APP.ScriptRuntime( {} );
+	var received = [];
+
+	function listener( event ) {
+
+		received.push( event.level );
+
+	}
+
+	runtime.on( 'alarm', listener );
+	runtime.emit( 'alarm', { level: 1 } );
+	runtime.off( 'alarm', listener );
+	runtime.emit( 'alarm', { level: 2 } );
+	runtime.off( 'unknown', listener );
+	runtime.emit( 'unknown', {} );
+
+	assert.deepStrictEqual( received, [ 1 ] );
+
+} );
+
+test( 'scripts subscribe and emit through their events bus', function () {
+
+	var runtime = createRuntime( [
+		{ name: 'Listener', source: 'var object = this; events.on( "alarm", function ( event ) { object.userData.alarm = event.level; } );' },
+		{ name: 'Emitter', source: 'function update() { events.emit( "alarm", { level: 3 } ); }' }
+	] );
+	var object = runtime.getScripts()[ 0 ].object;
+
+	runtime.dispatch( 'update', {} );
+
+	assert.strictEqual( object.userData.alarm, 3 );
+
+} );
+
+test( 'setEnabled matches by name or uuid and skips disabled scripts', function ( t ) {
+
+	var log = silence( t );
+	var runtime = createRuntime( [
+		{ name: 'A', source: 'function update() { this.userData.a = ( this.userData.a || 0 ) + 1; }' },
+		{ name: 'B', source: 'function update() { this.userData.b = ( this.userData.b || 0 ) + 1; }' }
+	] );
+	var object = runtime.getScripts()[ 0 ].object;
+
+	assert.strictEqual( runtime.setEnabled( 'A', false ), 1 );
+	runtime.dispatch( 'update', {} );
+
+	assert.strictEqual( runtime.setEnabled( 'object-1', false ), 2 );
+	runtime.dispatch( 'update', {} );
+
+	assert.strictEqual( runtime.setEnabled( 'C', true ), 0 );
+	assert.strictEqual( log.warn.mock.callCount(), 1 );
+
+	assert.strictEqual( object.userData.a, undefined );
+	assert.strictEqual( object.userData.b, 1 );
+
+} );
+
+test( 'listeners run in the order they subscribed', function () {
+
+	var runtime = createRuntime( [
+		{ name: 'First', source: 'function update( event ) { event.order.push( "First" ); }' },
+		{ name: 'Second', source: 'events.on( "update", function ( event ) { event.order.push( "Second.on" ); } );\nfunction update( event ) { event.order.push( "Second" ); }' }
+	] );
+	var event = { order: [] };
+
+	runtime.on( 'update', function ( event ) {
+
+		event.order.push( 'player' );
+
+	} );
+
+	runtime.dispatch( 'update', event );
+
+	assert.deepStrictEqual( event.order, [ 'First', 'Second.on', 'Second', 'player' ] );
+
+} );
+
+test( 'subscribing and unsubscribing during a dispatch takes effect from the next one', function () {
+
+	var runtime = new APP.ScriptRuntime( {} );
+	var calls = [];
+
+	function late() {
+
+		calls.push( 'late' );
+
+	}
+
+	function added() {
+
+		calls.push( 'added' );
+
+	}
+
+	runtime.on( 'tick', function once() {
+
+		calls.push( 'once' );
+
+		runtime.off( 'tick', once );
+		runtime.off( 'tick', late );
+		runtime.on( 'tick', added );
+
+	} );
+	runtime.on( 'tick', late );
+
+	runtime.emit( 'tick', {} );
+	runtime.emit( 'tick', {} );
+
+	assert.deepStrictEqual( calls, [ 'once', 'late', 'added' ] );
+
+} );
+
+test( 'off removes every subscription of a handler from a script bus', function () {
+
+	var runtime = createRuntime( [
+		{ name: 'Toggle', source: 'var object = this; function count() { object.userData.count = ( object.userData.count || 0 ) + 1; }\nevents.on( "alarm", count );\nevents.on( "alarm", count );\nfunction stop() { events.off( "alarm", count ); }' }
+	] );
+	var object = runtime.getScripts()[ 0 ].object;
+
+	runtime.emit( 'alarm', {} );
+	runtime.emit( 'stop', {} );
+	runtime.emit( 'alarm', {} );
+
+	assert.strictEqual( object.userData.count, 2 );
+
+} );
+
+test( 'object events only reach the scripts of that object', function () {
+
+	var scene = new THREE.Scene();
+	var a = new THREE.Object3D();
+	var b = new THREE.Object3D();
+	var runtime = new APP.ScriptRuntime( {} );
+	var calls = [];
+	var source = 'function pointerenter( event ) { event.calls.push( this.name ); }';
+
+	a.name = 'a';
+	b.name = 'b';
+	scene.add( a, b );
+
+	runtime.load( {
+		[ a.uuid ]: [ { name: 'A', source: source } ],
+		[ b.uuid ]: [ { name: 'B', source: source } ]
+	}, null, scene, null );
+
+	runtime.on( 'pointerenter', function ( event ) {
+
+		event.calls.push( 'player' );
+
+	} );
+
+	runtime.dispatch( 'pointerenter', { calls: calls }, b );
+
+	assert.deepStrictEqual( calls, [ 'b' ] );
+
+	var objects = runtime.getObjects( APP.ScriptRuntime.OBJECT_EVENTS );
+
+	assert.strictEqual( objects.length, 2 );
+	assert.strictEqual( objects[ 0 ], a );
+	assert.strictEqual( objects[ 1 ], b );
+
+} );
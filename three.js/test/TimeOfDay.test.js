@@ -0,0 +1,162 @@
+var test = require( 'node:test' );
+var assert = require( 'assert' );
+var load = require( './load.js' );
+
+var context = load( [ 'TimeOfDay.js' ] );
+var APP = context.APP;
+var THREE = context.THREE;
+
+function near( actual, expected, message ) {
+
+	assert.ok( Math.abs( actual - expected ) < 1e-9, ( message || '' ) + ' ' + actual + ' != ' + expected );
+
+}
+
+function createScene() {
+
+	var sun = new THREE.DirectionalLight( 0xffffff, 2 );
+	sun.position.set( 0, 20, 0 );
+
+	return {
+		sky: { material: { uniforms: { sunPosition: { value: new THREE.Vector3() } } } },
+		water: { material: { uniforms: { sunDirection: { value: new THREE.Vector3() }, sunColor: { value: new THREE.Color() } } } },
+		sun: sun,
+		fog: new THREE.FogExp2( 0x000000, 0 ),
+		flame: { intensity: 0 }
+	};
+
+}
+
+function attach( timeOfDay ) {
+
+	var scene = createScene();
+
+	timeOfDay.attach( scene.sky, scene.water, scene.sun, scene.fog );
+	timeOfDay.addLight( scene.flame, 0.5, 3 );
+	timeOfDay.apply();
+
+	return scene;
+
+}
+
+test( 'noon puts the sun overhead in full daylight', function () {
+
+	var timeOfDay = new APP.TimeOfDay( { time: 0.5, fogDensity: { day: 0.001 } } );
+	var scene = attach( timeOfDay );
+
+	near( timeOfDay.sunDirection.x, 0 );
+	near( timeOfDay.sunDirection.y, 1 );
+	near( timeOfDay.sunDirection.z, 0 );
+	assert.strictEqual( timeOfDay.daylight, 1 );
+	assert.ok( timeOfDay.isDay() );
+
+	near( scene.sky.material.uniforms.sunPosition.value.y, 400 );
+	near( scene.water.material.uniforms.sunDirection.value.y, 1 );
+	assert.strictEqual( scene.water.material.uniforms.sunColor.value.getHex(), 0xffffff );
+	near( scene.sun.position.y, 20 );
+
+	assert.strictEqual( scene.sun.intensity, 2 );
+	assert.strictEqual( scene.flame.intensity, 0.5 );
+	assert.strictEqual( scene.fog.density, 0.001 );
+
+} );
+
+test( 'midnight puts the sun below the horizon and turns the night lights on', function () {
+
+	var timeOfDay = new APP.TimeOfDay( { time: 0 } );
+	var scene = attach( timeOfDay );
+
+	near( timeOfDay.sunDirection.y, - 1 );
+	assert.strictEqual( timeOfDay.daylight, 0 );
+	assert.strictEqual( timeOfDay.night, 1 );
+	assert.ok( ! timeOfDay.isDay() );
+
+	assert.strictEqual( scene.water.material.uniforms.sunColor.value.getHex(), 0x000000 );
+	assert.strictEqual( scene.sun.intensity, 0 );
+	assert.strictEqual( scene.flame.intensity, 3 );
+	assert.strictEqual( scene.fog.density, 0.025 );
+
+} );
+
+test( 'sunrise and sunset sit on the horizon halfway through the twilight', function () {
+
+	[ 0.25, 0.75 ].forEach( function ( time ) {
+
+		var timeOfDay = new APP.TimeOfDay( { time: time } );
+		timeOfDay.apply();
+
+		near( timeOfDay.sunDirection.y, 0, 'time ' + time );
+		near( timeOfDay.daylight, 0.5, 'time ' + time );
+		assert.strictEqual( timeOfDay.sunTint.getHex(), 0xff9955 );
+
+	} );
+
+} );
+
+test( 'the azimuth turns the plane the sun moves in without changing its elevation', function () {
+
+	var east = new APP.TimeOfDay( { time: 0.375, azimuth: 0 } );
+	var north = new APP.TimeOfDay( { time: 0.375, azimuth: 0.25 } );
+
+	east.apply();
+	north.apply();
+
+	near( east.sunDirection.y, north.sunDirection.y );
+	near( east.sunDirection.z, 0 );
+	near( north.sunDirection.x, 0 );
+	near( east.sunDirection.x, north.sunDirection.z );
+
+} );
+
+test( 'the inclination maps onto the time of day', function () {
+
+	var timeOfDay = new APP.TimeOfDay();
+
+	timeOfDay.setInclination( - 1 );
+	assert.strictEqual( timeOfDay.time, 0 );
+
+	timeOfDay.setInclination( 0 );
+	assert.strictEqual( timeOfDay.time, 0.5 );
+	assert.strictEqual( timeOfDay.getInclination(), 0 );
+
+	timeOfDay.setTime( 1.25 );
+	assert.strictEqual( timeOfDay.time, 0.25 );
+	assert.strictEqual( timeOfDay.getInclination(), - 0.5 );
+
+} );
+
+test( 'update advances the clock by the day length and wraps around', function () {
+
+	var timeOfDay = new APP.TimeOfDay( { time: 0.9, dayLength: 10 } );
+
+	timeOfDay.update( 2000 );
+	near( timeOfDay.time, 0.1 );
+
+	timeOfDay.paused = true;
+	timeOfDay.update( 2000 );
+	near( timeOfDay.time, 0.1 );
+
+} );
+
+test( 'crossing dawn and dusk dispatches daybreak and nightfall', function () {
+
+	var timeOfDay = new APP.TimeOfDay( { time: 0.2, dayLength: 1 } );
+	var events = [];
+
+	[ 'daybreak', 'nightfall' ].forEach( function ( type ) {
+
+		timeOfDay.addEventListener( type, function () {
+
+			events.push( type );
+
+		} );
+
+	} );
+
+	timeOfDay.apply();
+
+	for ( var i = 0; i < 10; i ++ ) timeOfDay.update( 100 );
+
+	assert.deepStrictEqual( events, [ 'daybreak', 'nightfall' ] );
+
+} );
@@ -0,0 +1,80 @@
+var test = require( 'node:test' );
+var assert = require( 'assert' );
+var load = require( './load.js' );
+
+var THREE = load( [ 'Water.js' ] ).THREE;
+
+function createWater( options ) {
+
+	return new THREE.Water( new THREE.PlaneBufferGeometry( 8, 8 ), Object.assign( { rippleResolution: 8, rippleSize: 8 }, options ) );
+
+}
+
+test( 'a raised cell spreads half its height to each neighbour', function () {
+
+	var n = 3;
+	var heights = new Float32Array( n * n );
+	var previous = new Float32Array( n * n );
+
+	heights[ 4 ] = 1;
+
+	THREE.Water.stepRipples( heights, previous, n, 1 );
+
+	assert.deepStrictEqual( Array.from( previous ), [
+		0, 0.5, 0,
+		0.5, 0, 0.5,
+		0, 0.5, 0
+	] );
+
+} );
+
+test( 'the step subtracts the previous heights and applies the damping', function () {
+
+	var heights = new Float32Array( [ 0, 1, 0, 0 ] );
+	var previous = new Float32Array( [ 0.5, 0.5, 0.5, 0.5 ] );
+
+	THREE.Water.stepRipples( heights, previous, 2, 0.5 );
+
+	// Cells past the edge count as still water
+
+	assert.deepStrictEqual( Array.from( previous ), [ 0, - 0.25, - 0.25, 0 ] );
+
+} );
+
+test( 'flat water stays flat', function () {
+
+	var heights = new Float32Array( 16 );
+	var previous = new Float32Array( 16 );
+
+	THREE.Water.stepRipples( heights, previous, 4, 0.985 );
+
+	assert.deepStrictEqual( Array.from( previous ), new Array( 16 ).fill( 0 ) );
+
+} );
+
+test( 'a ripple dents the height texture and settles back to flat', function () {
+
+	var water = createWater();
+	var data = water.material.uniforms.rippleSampler.value.image.data;
+
+	water.addRipple( new THREE.Vector3( 0, 0, 0 ), 1, 1 );
+	water.updateRipples( 1000 / 60 );
+
+	assert.ok( Array.from( data ).some( function ( value ) {
+
+		return value !== 128;
+
+	} ) );
+
+	for ( var i = 0; i < 2000; i ++ ) water.updateRipples( 1000 / 60 );
+
+	assert.deepStrictEqual( Array.from( data ), new Array( 64 ).fill( 128 ) );
+
+} );
+
+test( 'rippleStrength sets the slope scale of the shader', function () {
+
+	assert.strictEqual( createWater().material.uniforms.rippleStrength.value, 4 );
+	assert.strictEqual( createWater( { rippleStrength: 1.5 } ).material.uniforms.rippleStrength.value, 1.5 );
+
+} );
@@ -0,0 +1,26 @@
+/**
+ * Loads three.js and player scripts into a fresh context, the way index.html
+ * does with script tags, so their pure parts can be tested in Node:
+ *
+ *	node --test test/*.test.js
+ */
+
+var fs = require( 'fs' );
+var path = require( 'path' );
+var vm = require( 'vm' );
+
+module.exports = function load( scripts ) {
+
+	var context = vm.createContext( { APP: {}, console: console } );
+
+	[ 'three.min.js' ].concat( scripts ).forEach( function ( script ) {
+
+		var file = path.join( __dirname, '..', 'js', script );
+
+		vm.runInContext( fs.readFileSync( file, 'utf8' ), context, { filename: file } );
+
+	} );
+
+	return context;
+
+};
@@ -0,0 +1,98 @@
+var test = require( 'node:test' );
+var assert = require( 'assert' );
+var fs = require( 'fs' );
+var path = require( 'path' );
+var validator = require( '../tools/validate.js' );
+
+var APP_JSON = path.join( __dirname, '..', 'app.json' );
+
+function check( json ) {
+
+	return validator.validateJSON( json, path.dirname( APP_JSON ), new validator.Report( 'test' ) );
+
+}
+
+function readApp() {
+
+	return JSON.parse( fs.readFileSync( APP_JSON, 'utf8' ) );
+
+}
+
+test( 'the shipped app.json is valid', function () {
+
+	var report = validator.validate( APP_JSON );
+
+	assert.deepStrictEqual( report.errors, [] );
+	assert.deepStrictEqual( report.warnings, [] );
+
+} );
+
+test( 'broken references are reported', function () {
+
+	var json = readApp();
+	var uuid = Object.keys( json.components )[ 0 ];
+
+	json.components[ uuid ].push( { type: 'Player' } );
+	json.components[ 'no-such-object' ] = [];
+	json.controls = [ { id: 'speed', object: 'Nowhere' } ];
+	json.project.walk = { ground: 'Floor' };
+
+	var report = check( json );
+
+	assert.deepStrictEqual( report.errors, [
+		'controls[0] speed: Missing property',
+		'controls[0] speed: Object not found Nowhere',
+		'components ' + uuid + ': Component type not supported Player',
+		'components: Object not found no-such-object'
+	] );
+	assert.deepStrictEqual( report.warnings, [ 'project.walk: Object not found Floor' ] );
+
+} );
+
+test( 'sections of the wrong shape are reported instead of throwing', function () {
+
+	var json = readApp();
+	var uuid = Object.keys( json.components )[ 0 ];
+
+	json.controls = { a: 1 };
+	json.components[ uuid ] = 'ParticleEmitter';
+	json.scripts = [ 1 ];
+
+	var report = check( json );
+
+	assert.deepStrictEqual( report.errors, [
+		'controls: Expected an array',
+		'components ' + uuid + ': Expected an array',
+		'scripts: Expected an object'
+	] );
+
+} );
+
+test( 'malformed entries are reported one by one', function () {
+
+	var json = readApp();
+	var uuid = Object.keys( json.components )[ 0 ];
+
+	json.controls = [ null, { id: 'ok', property: 'x' } ];
+	json.components[ uuid ] = [ 7 ];
+	json.scripts = { [ uuid ]: [ { name: 'empty' } ] };
+
+	var report = check( json );
+
+	assert.deepStrictEqual( report.errors, [
+		'controls[0]: Expected an object',
+		'components ' + uuid + ': Expected an object',
+		'scripts ' + uuid + ': Expected an object with a source'
+	] );
+
+} );
+
+test( 'a root that is not an object is rejected', function () {
+
+	[ null, [], 1, 'app' ].forEach( function ( json ) {
+
+		assert.deepStrictEqual( check( json ).errors, [ 'file: Expected an object' ] );
+
+	} );
+
+} );
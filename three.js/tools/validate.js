@@ -0,0 +1,505 @@
+/**
+ * Checks an app.json export before it is shipped:
+ *
+ *	node tools/validate.js [app.json]
+ *
+ * Reports the objects APP.Player needs but cannot find, broken geometry,
+ * material, texture and image references, missing image files, and scripts
+ * that do not compile or declare handlers the player never calls. Exits
+ * with 1 when there are errors, warnings alone still pass.
+ *
+ * Required as a module it exports validate( file ) and
+ * validateJSON( json, directory, report ), which return the Report.
+ */
+
+var fs = require( 'fs' );
+var path = require( 'path' );
+var vm = require( 'vm' );
+
+var TEXTURE_KEYS = [
+	'map', 'matcap', 'alphaMap', 'lightMap', 'aoMap', 'bumpMap', 'normalMap', 'displacementMap',
+	'roughnessMap', 'metalnessMap', 'emissiveMap', 'specularMap', 'envMap', 'gradientMap'
+];
+
+// Created by the player itself, so not part of the exported scene
+
+var RUNTIME_OBJECTS = [ 'Water' ];
+
+function Report( file ) {
+
+	this.file = file;
+	this.errors = [];
+	this.warnings = [];
+
+}
+
+Object.assign( Report.prototype, {
+
+	error: function ( where, message ) {
+
+		this.errors.push( where + ': ' + message );
+
+	},
+
+	warn: function ( where, message ) {
+
+		this.warnings.push( where + ': ' + message );
+
+	},
+
+	print: function () {
+
+		console.log( this.file );
+
+		this.errors.forEach( function ( line ) {
+
+			console.log( '  error    ' + line );
+
+		} );
+
+		this.warnings.forEach( function ( line ) {
+
+			console.log( '  warning  ' + line );
+
+		} );
+
+		console.log( this.errors.length + ' error(s), ' + this.warnings.length + ' warning(s)' );
+
+	}
+
+} );
+
+// The event names come from the runtime, so the two cannot drift apart
+
+function loadEvents() {
+
+	var sandbox = { APP: {} };
+
+	vm.runInNewContext( fs.readFileSync( path.join( __dirname, '..', 'js', 'ScriptRuntime.js' ), 'utf8' ), sandbox );
+
+	return sandbox.APP.ScriptRuntime.EVENTS;
+
+}
+
+// Likewise the component types the player constructs
+
+function loadComponents() {
+
+	var sandbox = {};
+
+	vm.runInNewContext( fs.readFileSync( path.join( __dirname, '..', 'js', 'app.js' ), 'utf8' ), sandbox );
+
+	return sandbox.APP.Player.COMPONENTS;
+
+}
+
+function isObject( value ) {
+
+	return typeof value === 'object' && value !== null && Array.isArray( value ) === false;
+
+}
+
+// A section of the wrong shape is reported and then skipped, so one bad
+// section does not stop the rest from being checked
+
+function getList( value, where, report ) {
+
+	if ( value === undefined ) return [];
+	if ( Array.isArray( value ) ) return value;
+
+	report.error( where, 'Expected an array' );
+	return [];
+
+}
+
+function getMap( value, where, report ) {
+
+	if ( value === undefined ) return {};
+	if ( isObject( value ) ) return value;
+
+	report.error( where, 'Expected an object' );
+	return {};
+
+}
+
+function indexByUuid( list ) {
+
+	var index = {};
+
+	( list || [] ).forEach( function ( item ) {
+
+		index[ item.uuid ] = item;
+
+	} );
+
+	return index;
+
+}
+
+function findChild( object, name ) {
+
+	return ( Array.isArray( object.children ) ? object.children : [] ).find( function ( child ) {
+
+		return child.name === name;
+
+	} );
+
+}
+
+function validateScene( json, directory, report ) {
+
+	var scene = json.scene;
+
+	if ( isObject( scene ) === false || isObject( scene.object ) === false ) {
+
+		report.error( 'scene', 'Missing scene object' );
+		return { byUuid: {}, byName: {} };
+
+	}
+
+	var lists = {};
+
+	[ 'geometries', 'materials', 'textures', 'images' ].forEach( function ( key ) {
+
+		lists[ key ] = getList( scene[ key ], 'scene.' + key, report ).filter( isObject );
+
+	} );
+
+	var geometries = indexByUuid( lists.geometries );
+	var materials = indexByUuid( lists.materials );
+	var textures = indexByUuid( lists.textures );
+	var images = indexByUuid( lists.images );
+
+	var objects = { byUuid: {}, byName: {} };
+
+	( function traverse( object, where ) {
+
+		where = where + '/' + ( object.name || object.type );
+
+		if ( objects.byUuid[ object.uuid ] !== undefined ) report.warn( where, 'Duplicate object uuid ' + object.uuid );
+
+		objects.byUuid[ object.uuid ] = object;
+		if ( object.name !== undefined ) objects.byName[ object.name ] = object;
+
+		if ( object.geometry !== undefined && geometries[ object.geometry ] === undefined ) {
+
+			report.error( where, 'Unknown geometry ' + object.geometry );
+
+		}
+
+		if ( object.material !== undefined ) {
+
+			( Array.isArray( object.material ) ? object.material : [ object.material ] ).forEach( function ( uuid ) {
+
+				if ( materials[ uuid ] === undefined ) report.error( where, 'Unknown material ' + uuid );
+
+			} );
+
+		}
+
+		getList( object.children, where, report ).filter( isObject ).forEach( function ( child ) {
+
+			traverse( child, where );
+
+		} );
+
+	} )( scene.object, 'scene' );
+
+	lists.materials.forEach( function ( material ) {
+
+		TEXTURE_KEYS.forEach( function ( key ) {
+
+			if ( material[ key ] !== undefined && textures[ material[ key ] ] === undefined ) {
+
+				report.error( 'material ' + ( material.name || material.uuid ), 'Unknown ' + key + ' texture ' + material[ key ] );
+
+			}
+
+		} );
+
+	} );
+
+	lists.textures.forEach( function ( texture ) {
+
+		if ( images[ texture.image ] === undefined ) {
+
+			report.error( 'texture ' + ( texture.name || texture.uuid ), 'Unknown image ' + texture.image );
+
+		}
+
+	} );
+
+	lists.images.forEach( function ( image ) {
+
+		var urls = Array.isArray( image.url ) ? image.url : [ image.url ];
+
+		urls.forEach( function ( url ) {
+
+			if ( typeof url !== 'string' || /^(data:|https?:|\/\/)/i.test( url ) ) return;
+
+			if ( fs.existsSync( path.resolve( directory, url ) ) === false ) {
+
+				report.error( 'image ' + image.uuid, 'File not found ' + url );
+
+			}
+
+		} );
+
+	} );
+
+	// What APP.Player looks up by name when it loads
+
+	var environment = findChild( scene.object, 'Environment' );
+
+	if ( environment === undefined ) {
+
+		report.error( 'scene', 'Required object Environment not found' );
+
+	} else {
+
+		if ( findChild( environment, 'Sun' ) === undefined ) report.error( 'scene', 'Required object Environment/Sun not found' );
+
+		var fire = findChild( environment, 'Fire' );
+
+		if ( fire === undefined ) {
+
+			report.error( 'scene', 'Required object Environment/Fire not found' );
+
+		} else if ( findChild( fire, 'Flame_light' ) === undefined ) {
+
+			report.error( 'scene', 'Required object Environment/Fire/Flame_light not found' );
+
+		}
+
+	}
+
+	return objects;
+
+}
+
+function validateProject( json, objects, components, report ) {
+
+	var project = getMap( json.project, 'project', report );
+
+	function checkName( where, name ) {
+
+		if ( name !== undefined && objects.byName[ name ] === undefined && RUNTIME_OBJECTS.indexOf( name ) === - 1 ) {
+
+			report.warn( where, 'Object not found ' + name );
+
+		}
+
+	}
+
+	if ( project.picking !== undefined ) {
+
+		getList( project.picking.objects, 'project.picking.objects', report ).forEach( function ( name ) {
+
+			checkName( 'project.picking', name );
+
+		} );
+
+	}
+
+	if ( project.controller !== undefined ) checkName( 'project.controller', project.controller.target );
+
+	// The player falls back to these names when walk leaves them out
+
+	var walk = project.walk || {};
+
+	checkName( 'project.walk', walk.ground !== undefined ? walk.ground : 'Ground' );
+
+	( walk.obstacles !== undefined ? getList( walk.obstacles, 'project.walk.obstacles', report ) : [ 'Structures' ] ).forEach( function ( name ) {
+
+		checkName( 'project.walk', name );
+
+	} );
+
+	if ( project.rendering !== undefined ) {
+
+		Object.keys( project.rendering.lights || {} ).forEach( function ( name ) {
+
+			checkName( 'project.rendering.lights', name );
+
+		} );
+
+	}
+
+	if ( project.audio !== undefined ) {
+
+		getList( project.audio.sounds, 'project.audio.sounds', report ).filter( isObject ).forEach( function ( sound ) {
+
+			checkName( 'project.audio', sound.object );
+			checkName( 'project.audio', sound.light );
+
+		} );
+
+	}
+
+	if ( project.atmosphere !== undefined && project.atmosphere.preset !== undefined ) {
+
+		if ( ( project.atmosphere.presets || {} )[ project.atmosphere.preset ] === undefined ) {
+
+			report.warn( 'project.atmosphere', 'Preset not found ' + project.atmosphere.preset );
+
+		}
+
+	}
+
+	getList( json.controls, 'controls', report ).forEach( function ( control, i ) {
+
+		var where = 'controls[' + i + ']';
+
+		if ( isObject( control ) === false ) {
+
+			report.error( where, 'Expected an object' );
+			return;
+
+		}
+
+		where += ' ' + ( control.id || '' );
+
+		if ( control.property === undefined ) report.error( where, 'Missing property' );
+
+		if ( control.object !== undefined && objects.byUuid[ control.object ] === undefined && objects.byName[ control.object ] === undefined ) {
+
+			report.error( where, 'Object not found ' + control.object );
+
+		}
+
+	} );
+
+	var componentMap = getMap( json.components, 'components', report );
+
+	Object.keys( componentMap ).forEach( function ( uuid ) {
+
+		if ( objects.byUuid[ uuid ] === undefined ) report.error( 'components', 'Object not found ' + uuid );
+
+		getList( componentMap[ uuid ], 'components ' + uuid, report ).forEach( function ( entry ) {
+
+			if ( isObject( entry ) === false ) {
+
+				report.error( 'components ' + uuid, 'Expected an object' );
+
+			} else if ( components.indexOf( entry.type ) === - 1 ) {
+
+				report.error( 'components ' + uuid, 'Component type not supported ' + entry.type );
+
+			}
+
+		} );
+
+	} );
+
+}
+
+// Compiles each script the way APP.ScriptRuntime wraps it, without running it
+
+function validateScripts( json, objects, events, report ) {
+
+	var wrapParams = [ 'player', 'renderer', 'scene', 'camera', 'events' ].concat( events ).join( ',' );
+
+	var scriptMap = getMap( json.scripts, 'scripts', report );
+
+	Object.keys( scriptMap ).forEach( function ( uuid ) {
+
+		if ( objects.byUuid[ uuid ] === undefined ) report.error( 'scripts', 'Script without object ' + uuid );
+
+		getList( scriptMap[ uuid ], 'scripts ' + uuid, report ).forEach( function ( script ) {
+
+			if ( isObject( script ) === false || typeof script.source !== 'string' ) {
+
+				report.error( 'scripts ' + uuid, 'Expected an object with a source' );
+				return;
+
+			}
+
+			var where = 'script "' + script.name + '" (' + uuid + ')';
+
+			try {
+
+				new Function( wrapParams, script.source );
+
+			} catch ( e ) {
+
+				report.error( where, e.name + ': ' + e.message );
+				return;
+
+			}
+
+			var declaration = /^function\s+([\w$]+)\s*\(/gm;
+			var match;
+
+			while ( ( match = declaration.exec( script.source ) ) !== null ) {
+
+				var name = match[ 1 ];
+
+				if ( events.indexOf( name ) !== - 1 ) continue;
+
+				var type = events.find( function ( type ) {
+
+					return type.toLowerCase() === name.toLowerCase().replace( /^on/, '' );
+
+				} );
+
+				if ( type !== undefined ) report.error( where, 'Unsupported event ' + name + ', did you mean ' + type );
+
+			}
+
+		} );
+
+	} );
+
+}
+
+function validate( file ) {
+
+	var report = new Report( file );
+	var json;
+
+	try {
+
+		json = JSON.parse( fs.readFileSync( file, 'utf8' ) );
+
+	} catch ( e ) {
+
+		report.error( 'file', e.message );
+		return report;
+
+	}
+
+	return validateJSON( json, path.dirname( file ), report );
+
+}
+
+// Checks parsed app.json contents, image paths relative to directory
+
+function validateJSON( json, directory, report ) {
+
+	if ( isObject( json ) === false ) {
+
+		report.error( 'file', 'Expected an object' );
+		return report;
+
+	}
+
+	var objects = validateScene( json, directory, report );
+
+	validateProject( json, objects, loadComponents(), report );
+	validateScripts( json, objects, loadEvents(), report );
+
+	return report;
+
+}
+
+module.exports = { Report: Report, validate: validate, validateJSON: validateJSON };
+
+if ( require.main === module ) {
+
+	var report = validate( path.resolve( process.argv[ 2 ] || path.join( __dirname, '..', 'app.json' ) ) );
+
+	report.print();
+
+	process.exitCode = report.errors.length > 0 ? 1 : 0;
+
+}